@@ -2,65 +2,66 @@ const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
 
+const { initLogger, disposeLogger, logError, logInfo } = require('./src/logger');
+const { TagIndex } = require('./src/workspaceScanner');
+const { registerTagExplorer } = require('./src/tagTree');
+const { isLanguageSupported } = require('./src/commentLexer');
+const { DocumentTagCache } = require('./src/tagCache');
+const { getOverdueDays } = require('./src/tagMetadata');
+const { registerTagHover } = require('./src/tagHover');
+const { registerTagDiagnostics } = require('./src/tagDiagnostics');
+const { registerTagNavigation } = require('./src/tagNavigation');
+const { registerTagCompletion } = require('./src/tagCompletion');
+const { registerTagActions } = require('./src/tagActions');
+const { registerContributedLanguages } = require('./src/contributedLanguages');
+const { REPORT_FORMATS, formatReport } = require('./src/reportFormats');
+const { BlameCache, getAgeDays, formatAge } = require('./src/gitBlame');
+const { SCOPES, getScopeRanges } = require('./src/highlightScope');
+const { isValidColor, normalizeKeywordStyle, validateKeywordStyle, resolveThemeStyle, getKeywordColor } = require('./src/keywordStyles');
+const { getDefaultKeywords, mergeKeywords, validateKeywords, createTagMatcher, applyLanguageSettings } = require('./src/tagEngine');
+const { isThemeColorId, withAlpha, toHexColor } = require('./src/colors');
+const { RegexRuleSet, compileRegexRules, getRuleStyleKey, validatePattern, DEFAULT_TIME_BUDGET } = require('./src/regexRules');
+const { isRegexKeyword, isSymbolKeyword } = require('./src/tagMatcher');
+const { KEYWORD_PRESETS } = require('./src/keywordPresets');
+const { compileDocTagStyles, findDocTags, getDocTagStyleName } = require('./src/docTags');
+const { getColorIconPath } = require('./src/colorIcons');
+const {
+    RC_FILE,
+    getConfiguration,
+    initProjectConfig,
+    onDidChangeProjectConfig,
+    getProjectValueForFolder,
+    updateProjectValue
+} = require('./src/projectConfig');
+
 // Global variables with error-safe initialization
 let decorationTypes = new Map();
-let timeout = null;
-let logger = null;
-let errorCount = 0;
-const MAX_ERRORS = 10;
-
-// Error-safe logger
-function createLogger() {
-    try {
-        return vscode.window.createOutputChannel('Comment Wizard');
-    } catch (error) {
-        console.error('Failed to create logger:', error);
-        return null;
-    }
-}
-
-function logError(message, error = null) {
-    try {
-        if (logger) {
-            logger.appendLine(`[ERROR] ${message}`);
-            if (error) {
-                logger.appendLine(`[ERROR] Details: ${error.message || error.toString()}`);
-            }
-        }
-        console.error(message, error);
-        
-        // Prevent spam by limiting errors
-        errorCount++;
-        if (errorCount > MAX_ERRORS) {
-            if (logger) {
-                logger.appendLine(`[ERROR] Too many errors (${errorCount}), stopping logging`);
-            }
-            return;
-        }
-    } catch (logError) {
-        console.error('Failed to log error:', logError);
-    }
-}
-
-function logInfo(message) {
-    try {
-        if (logger) {
-            logger.appendLine(`[INFO] ${message}`);
-        }
-        console.log(message);
-    } catch (error) {
-        console.error('Failed to log info:', error);
-    }
-}
+let metadataDecorationTypes = new Map();
+let scopeDecorationTypes = new Map();
+// Resolved highlight scope of each keyword with a scope decoration type
+let scopesByKeyword = new Map();
+let blameDecorationTypes = new Map();
+let regexDecorationTypes = new Map();
+let urgencyDecorationTypes = new Map();
+let docTagDecorationTypes = new Map();
+let docTagStyles = {};
+let regexRuleSet = null;
+let dailyRefreshTimer = null;
+const updateTimers = new Map();
+let tagIndex = null;
+let tagDiagnostics = null;
+let activeKeywords = {};
+let iconDirectory = null;
+const tagCache = new DocumentTagCache();
+// git runs repository hooks and config, so blame waits for workspace trust
+const blameCache = new BlameCache(logError, () => vscode.workspace.isTrusted);
+const pendingUpdates = new Map();
 
 function activate(context) {
     try {
-        logger = createLogger();
+        initLogger();
         logInfo('Comment Wizard Phase 3 initializing...');
         
-        // Reset error count
-        errorCount = 0;
-        
         // Initialize with error handling
         initializeExtension(context);
         
@@ -77,17 +78,53 @@ function activate(context) {
 
 function initializeExtension(context) {
     try {
+        // Generated gutter icons live next to the tag explorer's icons
+        iconDirectory = context.globalStorageUri ? path.join(context.globalStorageUri.fsPath, 'icons') : null;
+        
+        // Shared project configuration, loaded in the background
+        initProjectConfig(context);
+        
         // Initialize decoration types
         updateDecorationTypes();
         
-        // Apply decorations to active editor
-        if (vscode.window.activeTextEditor) {
-            updateDecorations(vscode.window.activeTextEditor);
-        }
+        // Apply decorations to every visible editor
+        updateVisibleEditors();
         
         // Register event listeners with error handling
         registerEventListeners(context);
         
+        // Hover with parsed tag metadata, and a daily refresh for overdue items
+        registerTagHover(context, tagCache, blameCache);
+        scheduleDailyRefresh();
+        
+        // Workspace-wide tag explorer, scanned lazily when the view opens
+        tagIndex = new TagIndex(findCommentKeywords);
+        context.subscriptions.push(tagIndex);
+        registerTagExplorer(context, tagIndex, blameCache);
+        
+        // Problems entries for keywords with a configured severity
+        tagDiagnostics = registerTagDiagnostics(context, tagIndex, findCommentKeywords);
+        
+        // Next/previous tag in the editor and a workspace-wide quick pick
+        registerTagNavigation(context, tagIndex, findCommentKeywords);
+        
+        // Keyword suggestions inside comments and the Insert Tagged Comment command
+        registerTagCompletion(context, tagCache, () => activeKeywords);
+        
+        // Lightbulb actions to change, resolve or escalate tags
+        registerTagActions(context, findCommentKeywords, () => activeKeywords);
+        
+        // Comment syntax of languages from other extensions, for languages
+        // without a built-in lexer
+        registerContributedLanguages(context, () => {
+            tagCache.clear();
+            updateVisibleEditors();
+            tagIndex.rescan();
+            if (tagDiagnostics) {
+                tagDiagnostics.refresh();
+            }
+        });
+        
     } catch (error) {
         logError('Failed to initialize extension', error);
         throw error;
@@ -107,24 +144,76 @@ function registerEventListeners(context) {
             }
         }, null, context.subscriptions);
         
+        // Split panes, diff editors and newly revealed editors
+        vscode.window.onDidChangeVisibleTextEditors(editors => {
+            try {
+                updateVisibleEditors(editors);
+            } catch (error) {
+                logError('Error in visible editors change handler', error);
+            }
+        }, null, context.subscriptions);
+        
+        // Notebook cells get editors as they scroll into view, not only when focused
+        const updateNotebookCells = () => {
+            try {
+                updateVisibleEditors();
+            } catch (error) {
+                logError('Error in notebook editors change handler', error);
+            }
+        };
+        vscode.window.onDidChangeVisibleNotebookEditors(updateNotebookCells, null, context.subscriptions);
+        vscode.window.onDidChangeNotebookEditorVisibleRanges(updateNotebookCells, null, context.subscriptions);
+        
         // Listen for document changes
         vscode.workspace.onDidChangeTextDocument(event => {
             try {
-                if (vscode.window.activeTextEditor && event.document === vscode.window.activeTextEditor.document) {
-                    triggerUpdateDecorations(vscode.window.activeTextEditor);
+                // Record the edit so only the touched lines are lexed again,
+                // and abandon any update still working on the old version
+                tagCache.recordChange(event.document, event.contentChanges);
+                cancelPendingUpdate(event.document);
+                
+                if (getEditorsForDocument(event.document).length > 0) {
+                    triggerUpdateDecorations(event.document);
                 }
             } catch (error) {
                 logError('Error in document change handler', error);
             }
         }, null, context.subscriptions);
         
+        // Drop cached comments for closed documents
+        vscode.workspace.onDidCloseTextDocument(document => {
+            try {
+                const key = document.uri.toString();
+                if (updateTimers.has(key)) {
+                    clearTimeout(updateTimers.get(key));
+                    updateTimers.delete(key);
+                }
+                cancelPendingUpdate(document);
+                tagCache.delete(document);
+            } catch (error) {
+                logError('Error in document close handler', error);
+            }
+        }, null, context.subscriptions);
+        
+        // Blame decorations are only recomputed for saved contents
+        vscode.workspace.onDidSaveTextDocument(document => {
+            try {
+                if (getEditorsForDocument(document).length > 0) {
+                    triggerUpdateDecorations(document);
+                }
+            } catch (error) {
+                logError('Error in document save handler', error);
+            }
+        }, null, context.subscriptions);
+        
         // Listen for configuration changes
         vscode.workspace.onDidChangeConfiguration(event => {
             try {
                 if (event.affectsConfiguration('commentWizard')) {
                     updateDecorationTypes();
-                    if (vscode.window.activeTextEditor) {
-                        updateDecorations(vscode.window.activeTextEditor);
+                    updateVisibleEditors();
+                    if (tagDiagnostics) {
+                        tagDiagnostics.refresh();
                     }
                 }
             } catch (error) {
@@ -132,6 +221,45 @@ function registerEventListeners(context) {
             }
         }, null, context.subscriptions);
         
+        // Project files (.commentwizardrc.json, package.json) changed on disk
+        context.subscriptions.push(onDidChangeProjectConfig(() => {
+            try {
+                updateDecorationTypes();
+                updateVisibleEditors();
+                if (tagIndex) {
+                    tagIndex.rescan();
+                }
+                if (tagDiagnostics) {
+                    tagDiagnostics.refresh();
+                }
+            } catch (error) {
+                logError('Error in project configuration change handler', error);
+            }
+        }));
+        
+        // Blame is off until the workspace is trusted
+        vscode.workspace.onDidGrantWorkspaceTrust(() => {
+            try {
+                updateDecorationTypes();
+                updateVisibleEditors();
+            } catch (error) {
+                logError('Error in workspace trust handler', error);
+            }
+        }, null, context.subscriptions);
+        
+        // Keyword styles may have light/dark/highContrast overrides
+        vscode.window.onDidChangeActiveColorTheme(() => {
+            try {
+                updateDecorationTypes();
+                updateVisibleEditors();
+                if (tagIndex) {
+                    tagIndex.recolor(keyword => getKeywordColor(activeKeywords[keyword]));
+                }
+            } catch (error) {
+                logError('Error in color theme change handler', error);
+            }
+        }, null, context.subscriptions);
+        
     } catch (error) {
         logError('Failed to register event listeners', error);
         throw error;
@@ -160,6 +288,16 @@ function registerCommands(context) {
             }
         });
         
+        // Apply keyword preset command
+        const applyPresetCommand = vscode.commands.registerCommand('commentWizard.applyPreset', async () => {
+            try {
+                await applyKeywordPreset();
+            } catch (error) {
+                logError('Error in apply preset command', error);
+                vscode.window.showErrorMessage('Failed to apply keyword preset. See output for details.');
+            }
+        });
+        
         // Export theme command
         const exportThemeCommand = vscode.commands.registerCommand('commentWizard.exportTheme', async () => {
             try {
@@ -190,13 +328,39 @@ function registerCommands(context) {
             }
         });
         
+        // Export report command
+        const exportReportCommand = vscode.commands.registerCommand('commentWizard.exportReport', async () => {
+            try {
+                await exportReport();
+            } catch (error) {
+                logError('Error in export report command', error);
+                vscode.window.showErrorMessage('Failed to export report. See output for details.');
+            }
+        });
+        
+        // Refresh tag explorer command
+        const refreshTagsCommand = vscode.commands.registerCommand('commentWizard.refreshTags', async () => {
+            try {
+                if (tagIndex) {
+                    await tagIndex.rescan();
+                    await tagIndex.ensureScanned();
+                }
+            } catch (error) {
+                logError('Error in refresh tags command', error);
+                vscode.window.showErrorMessage('Failed to refresh tagged comments. See output for details.');
+            }
+        });
+        
         // Add all commands to subscriptions
         context.subscriptions.push(
             addKeywordCommand,
             removeKeywordCommand,
+            applyPresetCommand,
             exportThemeCommand,
             importThemeCommand,
-            resetCommand
+            resetCommand,
+            exportReportCommand,
+            refreshTagsCommand
         );
         
     } catch (error) {
@@ -205,37 +369,77 @@ function registerCommands(context) {
     }
 }
 
+function disposeDecorationTypes(types) {
+    if (types && types.size > 0) {
+        types.forEach(decorationType => {
+            try {
+                if (decorationType && typeof decorationType.dispose === 'function') {
+                    decorationType.dispose();
+                }
+            } catch (error) {
+                logError('Error disposing decoration type', error);
+            }
+        });
+    }
+    types.clear();
+}
+
 function updateDecorationTypes() {
     try {
         // Dispose existing decoration types safely
-        if (decorationTypes && decorationTypes.size > 0) {
-            decorationTypes.forEach(decorationType => {
-                try {
-                    if (decorationType && typeof decorationType.dispose === 'function') {
-                        decorationType.dispose();
-                    }
-                } catch (error) {
-                    logError('Error disposing decoration type', error);
-                }
-            });
-        }
-        decorationTypes.clear();
-        
-        const config = vscode.workspace.getConfiguration('commentWizard');
-        const keywords = safeMergeKeywords(config);
+        disposeDecorationTypes(decorationTypes);
+        disposeDecorationTypes(metadataDecorationTypes);
+        disposeDecorationTypes(scopeDecorationTypes);
+        disposeDecorationTypes(blameDecorationTypes);
+        disposeDecorationTypes(regexDecorationTypes);
+        disposeDecorationTypes(urgencyDecorationTypes);
+        disposeDecorationTypes(docTagDecorationTypes);
+        scopesByKeyword = new Map();
+        
+        const config = getConfiguration();
+        applyLanguageSettings(config, logError);
         const highlightStyle = config.get('highlightStyle', 'text');
         const fontWeight = config.get('fontWeight', 'bold');
         const showIcons = config.get('showIcons', false);
         
         // Validate and limit keywords
-        const validKeywords = validateKeywords(keywords);
+        const validKeywords = validateKeywords(mergeKeywords(config, logError), config, logError);
+        const themeVariant = getThemeVariant();
+        activeKeywords = {};
+        Object.entries(validKeywords).forEach(([keyword, value]) => {
+            activeKeywords[keyword] = resolveThemeStyle(normalizeKeywordStyle(value), themeVariant);
+        });
+        
+        if (config.get('metadata.enabled', true)) {
+            createMetadataDecorationTypes(config);
+        }
+        createBlameDecorationTypes(config);
+        if (config.get('urgency.enabled', true)) {
+            createUrgencyDecorationTypes(config);
+        }
+        createRegexDecorationTypes(config, highlightStyle, fontWeight, themeVariant);
+        if (config.get('docTags.enabled', true)) {
+            createDocTagDecorationTypes(config, themeVariant);
+        }
+        
+        // One combined matcher for all keywords; resets cached matches
+        tagCache.setMatcher(createTagMatcher(validKeywords, config, logError, reportDisabledRegexKeyword));
         
         // Create new decoration types
-        Object.entries(validKeywords).forEach(([keyword, color]) => {
+        Object.entries(activeKeywords).forEach(([keyword, style]) => {
             try {
-                const decorationOptions = createDecorationOptions(keyword, color, highlightStyle, fontWeight, showIcons);
+                const markers = getKeywordMarkers(config, keyword);
+                const decorationOptions = createDecorationOptions(keyword, style, highlightStyle, fontWeight, showIcons, markers);
                 const decorationType = vscode.window.createTextEditorDecorationType(decorationOptions);
                 decorationTypes.set(keyword, decorationType);
+                
+                // Extra type for the text around the keyword when the scope is wider
+                const scope = getKeywordScope(config, keyword);
+                if (scope !== 'keyword') {
+                    const scopeOptions = createScopeDecorationOptions(getKeywordColor(style), highlightStyle, scope, style.backgroundColor);
+                    scopeDecorationTypes.set(keyword, vscode.window.createTextEditorDecorationType(scopeOptions));
+                    scopesByKeyword.set(keyword, scope);
+                }
             } catch (error) {
                 logError(`Error creating decoration for keyword '${keyword}'`, error);
             }
@@ -246,127 +450,311 @@ function updateDecorationTypes() {
     }
 }
 
-function safeMergeKeywords(config) {
-    try {
-        const defaultKeywords = config.get('keywords', {});
-        const customKeywords = config.get('customKeywords', {});
-        
-        // Validate that both are objects
-        if (typeof defaultKeywords !== 'object' || typeof customKeywords !== 'object') {
-            logError('Keywords are not objects, using defaults');
-            return getDefaultKeywords();
-        }
-        
-        return { ...defaultKeywords, ...customKeywords };
-    } catch (error) {
-        logError('Error merging keywords', error);
-        return getDefaultKeywords();
+// One type per styled part of each regex rule: the whole match or a capture group
+function createRegexDecorationTypes(config, highlightStyle, fontWeight, themeVariant) {
+    const rules = compileRegexRules(config.get('regexPatterns', []), logError);
+    regexRuleSet = new RegexRuleSet(rules, {
+        timeBudget: config.get('regexTimeBudget', DEFAULT_TIME_BUDGET),
+        onDisable: reportDisabledRegexRule
+    });
+    
+    rules.forEach(rule => {
+        rule.styles.forEach((value, part) => {
+            try {
+                const style = resolveThemeStyle(normalizeKeywordStyle(value), themeVariant);
+                const options = createDecorationOptions(rule.name, style, highlightStyle, fontWeight, false);
+                regexDecorationTypes.set(getRuleStyleKey(rule, part), vscode.window.createTextEditorDecorationType(options));
+            } catch (error) {
+                logError(`Error creating decoration for regex rule '${rule.name}'`, error);
+            }
+        });
+    });
+}
+
+// A disabled rule stays off until the settings change and the rules are rebuilt
+function reportDisabledRegexRule(rule, elapsed, documentName) {
+    const message = `Regex rule '${rule.name}' took ${elapsed} ms on ${documentName}, over the ${regexRuleSet.timeBudget} ms budget (commentWizard.regexTimeBudget), and was disabled`;
+    logError(message);
+    vscode.window.showWarningMessage(`Comment Wizard: ${message}`);
+}
+
+// Stays off until the settings change and the matcher is rebuilt
+function reportDisabledRegexKeyword(keyword, message) {
+    logError(message);
+    vscode.window.showWarningMessage(`Comment Wizard: ${message}`);
+}
+
+function getDefaultMetadataStyles() {
+    return {
+        owner: { color: '#C586C0', fontStyle: 'italic' },
+        due: { color: '#4EC9B0' },
+        priority: { color: '#D7BA7D', fontWeight: 'bold' },
+        issue: { color: '#569CD6', textDecoration: 'underline' },
+        overdue: { color: '#FF5555', backgroundColor: '#FF555522', border: '1px solid #FF5555', borderRadius: '3px' }
+    };
+}
+
+// Ghost text with the author and age of a tag's line, and the style for tags
+// older than blame.staleAfterDays
+function createBlameDecorationTypes(config) {
+    if (!config.get('blame.enabled', true) || !vscode.workspace.isTrusted) {
+        return;
+    }
+    
+    if (config.get('blame.showInline', false)) {
+        blameDecorationTypes.set('inline', vscode.window.createTextEditorDecorationType({
+            after: {
+                color: new vscode.ThemeColor('editorCodeLens.foreground'),
+                fontStyle: 'italic',
+                margin: '0 0 0 2em'
+            }
+        }));
+    }
+    
+    if (config.get('blame.staleAfterDays', 0) > 0) {
+        const staleOptions = config.get('blame.staleStyle', 'dim') === 'alarm'
+            ? { border: '1px dashed #FF5555', borderRadius: '3px', backgroundColor: 'rgba(255, 85, 85, 0.15)' }
+            : { opacity: '0.5' };
+        blameDecorationTypes.set('stale', vscode.window.createTextEditorDecorationType(staleOptions));
     }
 }
 
-function validateKeywords(keywords) {
-    try {
-        const config = vscode.workspace.getConfiguration('commentWizard');
-        const minLength = config.get('minKeywordLength', 2);
-        const maxKeywords = config.get('maxKeywords', 50);
-        
-        const validKeywords = {};
-        let count = 0;
-        
-        for (const [keyword, color] of Object.entries(keywords)) {
-            if (count >= maxKeywords) {
-                logError(`Maximum keywords (${maxKeywords}) exceeded, ignoring '${keyword}'`);
-                break;
+function getDefaultUrgencyStyles() {
+    return [
+        { textDecoration: 'underline' },
+        { border: '1px solid', borderRadius: '3px' },
+        { border: '2px solid', borderRadius: '3px', backgroundColor: 'rgba(255, 85, 85, 0.25)' }
+    ];
+}
+
+const DECORATION_STYLE_PROPERTIES = ['color', 'backgroundColor', 'fontStyle', 'fontWeight', 'textDecoration', 'border', 'borderRadius'];
+
+function createStyleOptions(style) {
+    const options = {};
+    DECORATION_STYLE_PROPERTIES.forEach(property => {
+        if (typeof style[property] === 'string') {
+            options[property] = property === 'color' || property === 'backgroundColor'
+                ? toThemableColor(style[property])
+                : style[property];
+        }
+    });
+    return options;
+}
+
+// Layered over the keyword's own decoration for `TODO!`, `TODO!!`, ...; a
+// border without a color takes the keyword's. Levels past the last style use it.
+function createUrgencyDecorationTypes(config) {
+    const configured = config.get('urgency.styles', getDefaultUrgencyStyles());
+    const styles = Array.isArray(configured) && configured.length > 0 ? configured : getDefaultUrgencyStyles();
+    
+    styles.forEach((style, index) => {
+        try {
+            const valid = style !== null && typeof style === 'object';
+            if (!valid) {
+                logError(`Invalid urgency style for level ${index + 1}: expected an object`);
             }
-            
-            if (validateKeyword(keyword, color, minLength)) {
-                validKeywords[keyword] = color;
-                count++;
+            // Every level gets a type so the levels above stay in place
+            const options = createStyleOptions(valid ? style : {});
+            urgencyDecorationTypes.set(index + 1, vscode.window.createTextEditorDecorationType(options));
+        } catch (error) {
+            logError(`Error creating urgency decoration for level ${index + 1}`, error);
+        }
+    });
+}
+
+// One type per styled part of each doc tag, keyed `@param|tag`, `@param|argument`
+function createDocTagDecorationTypes(config, themeVariant) {
+    docTagStyles = compileDocTagStyles(config.get('docTags.styles', {}), logError);
+    Object.entries(docTagStyles).forEach(([name, parts]) => {
+        Object.entries(parts).forEach(([part, value]) => {
+            try {
+                const style = resolveThemeStyle(normalizeKeywordStyle(value), themeVariant);
+                docTagDecorationTypes.set(`${name}|${part}`, vscode.window.createTextEditorDecorationType(createStyleOptions(style)));
+            } catch (error) {
+                logError(`Error creating decoration for doc tag '${name}'`, error);
             }
+        });
+    });
+}
+
+function createMetadataDecorationTypes(config) {
+    const defaults = getDefaultMetadataStyles();
+    const userStyles = config.get('metadata.styles', {}) || {};
+    
+    Object.keys(defaults).forEach(kind => {
+        try {
+            const style = { ...defaults[kind], ...(typeof userStyles[kind] === 'object' ? userStyles[kind] : {}) };
+            metadataDecorationTypes.set(kind, vscode.window.createTextEditorDecorationType(createStyleOptions(style)));
+        } catch (error) {
+            logError(`Error creating metadata decoration for '${kind}'`, error);
         }
-        
-        return validKeywords;
-    } catch (error) {
-        logError('Error validating keywords', error);
-        return getDefaultKeywords();
-    }
+    });
 }
 
-function validateKeyword(keyword, color, minLength) {
+const OVERVIEW_RULER_LANES = {
+    left: 'Left',
+    center: 'Center',
+    right: 'Right',
+    full: 'Full'
+};
+
+// Overview ruler marks and generated gutter icons are opt-in per keyword; a
+// '*' entry enables them for every keyword. VS Code does not let extensions
+// color the minimap, so the overview ruler is the only scrollbar marker.
+function getKeywordMarkers(config, keyword) {
+    const listed = setting => {
+        const keywords = config.get(setting, []);
+        return Array.isArray(keywords) && (keywords.includes('*') || keywords.includes(keyword));
+    };
+    const lane = OVERVIEW_RULER_LANES[config.get('overviewRuler.lane', 'right')] || 'Right';
+
+    return {
+        overviewRuler: listed('overviewRuler.keywords'),
+        gutterIcon: listed('gutterIcons.keywords'),
+        lane: vscode.OverviewRulerLane[lane]
+    };
+}
+
+function createDecorationOptions(keyword, style, highlightStyle, fontWeight, showIcons, markers = {}) {
     try {
-        // Validate keyword
-        if (typeof keyword !== 'string' || keyword.length < minLength) {
-            logError(`Invalid keyword: '${keyword}' (too short)`);
-            return false;
+        const color = style.color;
+        const decorationOptions = {
+            fontWeight: style.fontWeight || fontWeight || 'bold'
+        };
+        
+        // A keyword's own icon text always shows; built-in icons only when enabled
+        const icon = style.icon !== undefined ? style.icon : (showIcons ? getIconForKeyword(keyword) : null);
+        if (icon) {
+            decorationOptions.before = {
+                contentText: icon,
+                margin: '0 4px 0 0'
+            };
+        }
+        
+        // Apply style based on highlight style
+        if (color) {
+            decorationOptions.color = toThemableColor(color);
+            switch (highlightStyle) {
+                case 'background': {
+                    const backgroundColor = getBackgroundColor(color);
+                    if (backgroundColor) {
+                        decorationOptions.backgroundColor = backgroundColor;
+                    }
+                    break;
+                }
+                case 'border':
+                    decorationOptions.border = '1px solid';
+                    decorationOptions.borderColor = toThemableColor(color);
+                    break;
+                case 'underline':
+                    // Without a color the line follows the keyword's text color
+                    decorationOptions.textDecoration = 'underline';
+                    break;
+                default: // text
+                    break;
+            }
         }
         
-        // Basic regex characters check
-        if (!/^[a-zA-Z0-9_-]+$/.test(keyword)) {
-            logError(`Invalid keyword: '${keyword}' (contains invalid characters)`);
-            return false;
+        // Properties set on the keyword override the global highlight style
+        ['border', 'fontStyle', 'textDecoration'].forEach(property => {
+            if (style[property]) {
+                decorationOptions[property] = style[property];
+            }
+        });
+        if (style.border) {
+            delete decorationOptions.borderColor;
         }
+        if (style.backgroundColor) {
+            decorationOptions.backgroundColor = toThemableColor(style.backgroundColor);
+        }
+        
+        const markerColor = getKeywordColor(style);
         
-        // Validate color
-        if (typeof color !== 'string' || !isValidColor(color)) {
-            logError(`Invalid color for keyword '${keyword}': ${color}`);
-            return false;
+        if (style.gutterIcon) {
+            decorationOptions.gutterIconPath = resolveIconPath(style.gutterIcon);
+            decorationOptions.gutterIconSize = 'contain';
+        } else if (markers.gutterIcon && toHexColor(markerColor)) {
+            const generatedIcon = getColorIconPath(iconDirectory, toHexColor(markerColor), 'bookmark');
+            if (generatedIcon) {
+                decorationOptions.gutterIconPath = vscode.Uri.file(generatedIcon);
+                decorationOptions.gutterIconSize = 'contain';
+            }
         }
         
-        return true;
+        if (style.overviewRulerColor || markers.overviewRuler) {
+            decorationOptions.overviewRulerColor = toThemableColor(style.overviewRulerColor || markerColor);
+            decorationOptions.overviewRulerLane = markers.lane || vscode.OverviewRulerLane.Right;
+        }
+        
+        return decorationOptions;
     } catch (error) {
-        logError('Error validating keyword', error);
-        return false;
+        logError('Error creating decoration options', error);
+        return { color: '#ffffff', fontWeight: 'bold' };
     }
 }
 
-function isValidColor(color) {
-    try {
-        // Basic color validation
-        return /^#([0-9A-F]{3}|[0-9A-F]{6})$/i.test(color);
-    } catch (error) {
-        return false;
+// Gutter icons may be absolute paths, URIs or paths relative to the first workspace folder
+function resolveIconPath(iconPath) {
+    if (/^[a-z][a-z0-9+.-]+:\/\//i.test(iconPath) || iconPath.startsWith('data:')) {
+        return vscode.Uri.parse(iconPath);
     }
+    if (path.isAbsolute(iconPath)) {
+        return vscode.Uri.file(iconPath);
+    }
+    const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+    return folder ? vscode.Uri.joinPath(folder.uri, iconPath) : vscode.Uri.file(iconPath);
+}
+
+function getKeywordScope(config, keyword) {
+    const keywordScopes = config.get('keywordScopes', {}) || {};
+    const style = activeKeywords[keyword] || {};
+    const scope = style.scope || keywordScopes[keyword] || config.get('highlightScope', 'keyword');
+    return SCOPES.includes(scope) ? scope : 'keyword';
 }
 
-function createDecorationOptions(keyword, color, highlightStyle, fontWeight, showIcons) {
+function createScopeDecorationOptions(color, highlightStyle, scope, backgroundColor) {
     try {
-        const decorationOptions = {
-            fontWeight: fontWeight || 'bold'
-        };
-        
-        // Add icon if enabled
-        if (showIcons) {
-            const icon = getIconForKeyword(keyword);
-            if (icon) {
-                decorationOptions.before = {
-                    contentText: icon,
-                    margin: '0 4px 0 0'
-                };
-            }
+        // An explicit background is used as is; theme colors cannot be made translucent
+        if (scope === 'wholeLine') {
+            const lineBackground = backgroundColor ? toThemableColor(backgroundColor) : getBackgroundColor(color);
+            return lineBackground ? { isWholeLine: true, backgroundColor: lineBackground } : { isWholeLine: true };
         }
         
-        // Apply style based on highlight style
-        switch (highlightStyle) {
-            case 'background':
-                decorationOptions.backgroundColor = color + '33'; // Add transparency
-                decorationOptions.color = color;
-                break;
-            case 'border':
-                decorationOptions.border = `1px solid ${color}`;
-                decorationOptions.color = color;
-                break;
-            case 'underline':
-                decorationOptions.textDecoration = `underline ${color}`;
-                decorationOptions.color = color;
-                break;
-            default: // text
-                decorationOptions.color = color;
+        // Surrounding text takes the keyword color without its weight or icon
+        const decorationOptions = { color: toThemableColor(color) };
+        if (highlightStyle === 'background' && getBackgroundColor(color)) {
+            decorationOptions.backgroundColor = getBackgroundColor(color);
+        } else if (highlightStyle === 'underline') {
+            decorationOptions.textDecoration = 'underline';
         }
-        
         return decorationOptions;
     } catch (error) {
-        logError('Error creating decoration options', error);
-        return { color: '#ffffff', fontWeight: 'bold' };
+        logError('Error creating scope decoration options', error);
+        return { color: toThemableColor(color) };
+    }
+}
+
+// Translucent version of a color for backgrounds; null for theme colors
+function getBackgroundColor(color) {
+    return withAlpha(color, 0.2);
+}
+
+// Theme color ids become ThemeColor references, resolved by the active theme
+function toThemableColor(color) {
+    return isThemeColorId(color) ? new vscode.ThemeColor(color) : color;
+}
+
+function getThemeVariant() {
+    const kind = vscode.window.activeColorTheme ? vscode.window.activeColorTheme.kind : vscode.ColorThemeKind.Dark;
+    switch (kind) {
+        case vscode.ColorThemeKind.Light:
+            return 'light';
+        case vscode.ColorThemeKind.HighContrast:
+            return 'highContrast';
+        case vscode.ColorThemeKind.HighContrastLight:
+            return 'highContrastLight';
+        default:
+            return 'dark';
     }
 }
 
@@ -385,332 +773,342 @@ function getIconForKeyword(keyword) {
     return iconMap[keyword.toUpperCase()] || '📌';
 }
 
-function triggerUpdateDecorations(editor) {
+function triggerUpdateDecorations(document) {
     try {
-        if (timeout) {
-            clearTimeout(timeout);
+        const key = document.uri.toString();
+        if (updateTimers.has(key)) {
+            clearTimeout(updateTimers.get(key));
         }
-        timeout = setTimeout(() => {
+        updateTimers.set(key, setTimeout(() => {
             try {
-                updateDecorations(editor);
+                updateTimers.delete(key);
+                updateDocumentDecorations(document);
             } catch (error) {
                 logError('Error in delayed decoration update', error);
             }
-        }, 100);
+        }, 100));
     } catch (error) {
         logError('Error triggering decoration update', error);
     }
 }
 
+// Visible editors include both panes of a split and both sides of a diff;
+// the left side of a git diff is a read-only document with the 'git' scheme.
+function getEditorsForDocument(document) {
+    return vscode.window.visibleTextEditors.filter(editor => editor.document === document);
+}
+
+function updateVisibleEditors(editors = vscode.window.visibleTextEditors) {
+    try {
+        // Decorate each document once, then apply to all editors showing it
+        const documents = new Set(editors.map(editor => editor.document));
+        documents.forEach(document => updateDocumentDecorations(document));
+    } catch (error) {
+        logError('Error updating visible editors', error);
+    }
+}
+
 function updateDecorations(editor) {
+    if (editor && editor.document) {
+        return updateDocumentDecorations(editor.document, [editor]);
+    }
+}
+
+async function updateDocumentDecorations(document, extraEditors = []) {
     try {
-        const config = vscode.workspace.getConfiguration('commentWizard');
+        const config = getConfiguration();
         
         if (!config.get('enabled', true)) {
             return;
         }
         
-        if (!editor || !editor.document) {
+        if (!document) {
             return;
         }
         
-        const document = editor.document;
         const languageId = document.languageId;
         
-        // Get comment patterns for this language
-        const commentPatterns = getCommentPatterns(languageId);
-        if (!commentPatterns || commentPatterns.length === 0) {
+        if (!isLanguageSupported(languageId)) {
             return; // Unsupported language
         }
         
-        const keywords = safeMergeKeywords(config);
-        const caseSensitive = config.get('caseSensitive', false);
-        
-        // Clear existing decorations safely
-        clearDecorations(editor);
+        // A newer update for the same document supersedes this one
+        cancelPendingUpdate(document);
+        const tokenSource = new vscode.CancellationTokenSource();
+        const key = document.uri.toString();
+        pendingUpdates.set(key, tokenSource);
         
-        // Find comment matches
-        const validKeywords = validateKeywords(keywords);
-        Object.keys(validKeywords).forEach(keyword => {
-            try {
-                const decorationType = decorationTypes.get(keyword);
-                if (!decorationType) return;
+        try {
+            const tags = await tagCache.getTagsAsync(document, tokenSource.token);
+            if (!tags || tokenSource.token.isCancellationRequested) {
+                return;
+            }
+            
+            // Group all matches by keyword in a single pass
+            const rangesByKeyword = new Map();
+            const metadataRanges = new Map();
+            const scopeRanges = new Map();
+            const urgencyRanges = new Map();
+            const regexRulesActive = regexRuleSet && regexRuleSet.size > 0;
+            const needsComments = scopeDecorationTypes.size > 0 || docTagDecorationTypes.size > 0 ||
+                (regexRulesActive && regexRuleSet.needsComments);
+            const comments = needsComments ? tagCache.getComments(document) : null;
+            const text = comments || regexRulesActive ? document.getText() : '';
+            const addRange = (map, key, start, end) => {
+                if (!map.has(key)) {
+                    map.set(key, []);
+                }
+                map.get(key).push(new vscode.Range(document.positionAt(start), document.positionAt(end)));
+            };
+            const today = new Date();
+            tags.forEach(tag => {
+                addRange(rangesByKeyword, tag.keyword, tag.start, tag.end);
                 
-                const ranges = findCommentKeywords(document, keyword, commentPatterns, caseSensitive);
-                if (ranges && ranges.length > 0) {
-                    editor.setDecorations(decorationType, ranges);
+                if (tag.urgency && urgencyDecorationTypes.size > 0) {
+                    addRange(urgencyRanges, Math.min(tag.urgency, urgencyDecorationTypes.size), tag.start, tag.end);
                 }
-            } catch (error) {
-                logError(`Error processing keyword '${keyword}'`, error);
-            }
-        });
-        
-    } catch (error) {
-        logError('Error updating decorations', error);
-    }
-}
-
-function clearDecorations(editor) {
-    try {
-        if (decorationTypes && decorationTypes.size > 0) {
-            decorationTypes.forEach(decorationType => {
-                try {
-                    if (decorationType && typeof decorationType.setDecorations === 'function') {
-                        editor.setDecorations(decorationType, []);
+                
+                if (comments && scopeDecorationTypes.has(tag.keyword)) {
+                    getScopeRanges(text, comments, tag, scopesByKeyword.get(tag.keyword)).forEach(range => {
+                        addRange(scopeRanges, tag.keyword, range.start, range.end);
+                    });
+                }
+                
+                if (tag.metadata) {
+                    tag.metadata.fields.forEach(field => {
+                        if (field.kind) {
+                            addRange(metadataRanges, field.kind, field.start, field.end);
+                        }
+                    });
+                    if (getOverdueDays(tag.metadata, today) > 0) {
+                        addRange(metadataRanges, 'overdue', tag.start, tag.metadata.end);
                     }
-                } catch (error) {
-                    logError('Error clearing decoration', error);
                 }
             });
+            
+            // Doc tags that are also keyword tags, such as `@todo`, keep the keyword's style
+            const docTagRanges = new Map();
+            if (comments && docTagDecorationTypes.size > 0) {
+                comments.forEach(comment => {
+                    if (!comment.docTags) {
+                        comment.docTags = findDocTags(text.slice(comment.start, comment.end), comment.open);
+                    }
+                    comment.docTags.forEach(docTag => {
+                        if ((comment.matches || []).some(match => match.start < docTag.end && docTag.start < match.end)) {
+                            return;
+                        }
+                        const name = getDocTagStyleName(docTagStyles, docTag.name);
+                        if (docTagDecorationTypes.has(`${name}|tag`)) {
+                            addRange(docTagRanges, `${name}|tag`, comment.start + docTag.start, comment.start + docTag.end);
+                        }
+                        if (docTag.argument && docTagDecorationTypes.has(`${name}|argument`)) {
+                            addRange(docTagRanges, `${name}|argument`, comment.start + docTag.argument.start, comment.start + docTag.argument.end);
+                        }
+                    });
+                });
+            }
+            
+            const regexRanges = new Map();
+            if (regexRulesActive) {
+                regexRuleSet.match(text, comments, vscode.workspace.asRelativePath(document.uri)).forEach((ranges, key) => {
+                    ranges.forEach(range => addRange(regexRanges, key, range.start, range.end));
+                });
+            }
+            
+            // Editors are looked up after the await so panes opened meanwhile are included
+            const editors = new Set(getEditorsForDocument(document).concat(extraEditors));
+            editors.forEach(editor => {
+                // Setting every type also clears keywords that no longer match
+                decorationTypes.forEach((decorationType, keyword) => {
+                    try {
+                        editor.setDecorations(decorationType, rangesByKeyword.get(keyword) || []);
+                    } catch (error) {
+                        logError(`Error processing keyword '${keyword}'`, error);
+                    }
+                });
+                scopeDecorationTypes.forEach((decorationType, keyword) => {
+                    try {
+                        editor.setDecorations(decorationType, scopeRanges.get(keyword) || []);
+                    } catch (error) {
+                        logError(`Error processing scope for keyword '${keyword}'`, error);
+                    }
+                });
+                metadataDecorationTypes.forEach((decorationType, kind) => {
+                    try {
+                        editor.setDecorations(decorationType, metadataRanges.get(kind) || []);
+                    } catch (error) {
+                        logError(`Error processing metadata '${kind}'`, error);
+                    }
+                });
+                docTagDecorationTypes.forEach((decorationType, key) => {
+                    try {
+                        editor.setDecorations(decorationType, docTagRanges.get(key) || []);
+                    } catch (error) {
+                        logError(`Error processing doc tag '${key}'`, error);
+                    }
+                });
+                urgencyDecorationTypes.forEach((decorationType, level) => {
+                    try {
+                        editor.setDecorations(decorationType, urgencyRanges.get(level) || []);
+                    } catch (error) {
+                        logError(`Error processing urgency level ${level}`, error);
+                    }
+                });
+                regexDecorationTypes.forEach((decorationType, key) => {
+                    try {
+                        editor.setDecorations(decorationType, regexRanges.get(key) || []);
+                    } catch (error) {
+                        logError(`Error processing regex rule '${key}'`, error);
+                    }
+                });
+            });
+            
+            await updateBlameDecorations(document, tags, config, tokenSource.token, extraEditors);
+        } finally {
+            if (pendingUpdates.get(key) === tokenSource) {
+                pendingUpdates.delete(key);
+            }
+            tokenSource.dispose();
         }
-    } catch (error) {
-        logError('Error clearing decorations', error);
-    }
-}
-
-function getCommentPatterns(languageId) {
-    try {
-        const patterns = {
-            javascript: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            typescript: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            python: [
-                { type: 'single', pattern: /#.*$/gm },
-                { type: 'multi', pattern: /"""[\s\S]*?"""/gm },
-                { type: 'multi', pattern: /'''[\s\S]*?'''/gm }
-            ],
-            java: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            c: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            cpp: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            csharp: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            html: [
-                { type: 'multi', pattern: /<!--[\s\S]*?-->/gm }
-            ],
-            css: [
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            sql: [
-                { type: 'single', pattern: /--.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            php: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'single', pattern: /#.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            ruby: [
-                { type: 'single', pattern: /#.*$/gm },
-                { type: 'multi', pattern: /=begin[\s\S]*?=end/gm }
-            ],
-            go: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            rust: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            kotlin: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            swift: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            xml: [
-                { type: 'multi', pattern: /<!--[\s\S]*?-->/gm }
-            ],
-			yaml: [
-                { type: 'single', pattern: /#.*$/gm }
-            ],
-            shell: [
-                { type: 'single', pattern: /#.*$/gm }
-            ],
-            bash: [
-                { type: 'single', pattern: /#.*$/gm }
-            ],
-            dockerfile: [
-                { type: 'single', pattern: /#.*$/gm }
-            ],
-            powershell: [
-                { type: 'single', pattern: /#.*$/gm }
-            ],
-            r: [
-                { type: 'single', pattern: /#.*$/gm }
-            ],
-            lua: [
-                { type: 'single', pattern: /--.*$/gm },
-                { type: 'multi', pattern: /--\[\[[\s\S]*?\]\]/gm }
-            ],
-            perl: [
-                { type: 'single', pattern: /#.*$/gm }
-            ],
-            dart: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ],
-            scala: [
-                { type: 'single', pattern: /\/\/.*$/gm },
-                { type: 'multi', pattern: /\/\*[\s\S]*?\*\//gm }
-            ]
-        };
         
-        return patterns[languageId] || [];
     } catch (error) {
-        logError('Error getting comment patterns', error);
-        return [];
+        logError('Error updating decorations', error);
     }
 }
 
-function findCommentKeywords(document, keyword, commentPatterns, caseSensitive) {
+// Unsaved documents keep their previous blame decorations, which move with
+// the edits; blaming every keystroke would mean a git process per change.
+async function updateBlameDecorations(document, tags, config, token, extraEditors) {
     try {
-        const ranges = [];
-        const text = document.getText();
-        const config = vscode.workspace.getConfiguration('commentWizard');
-        const enableRegex = config.get('enableRegexKeywords', false);
+        if (blameDecorationTypes.size === 0 || document.uri.scheme !== 'file' || document.isDirty) {
+            return;
+        }
         
-        // Handle regex keywords if enabled
-        if (enableRegex && isRegexKeyword(keyword)) {
-            return findRegexKeywords(document, keyword, commentPatterns, caseSensitive);
+        const blame = await blameCache.getBlame(document.uri.fsPath);
+        if (token.isCancellationRequested) {
+            return;
         }
         
-        commentPatterns.forEach(pattern => {
-            try {
-                let match;
-                
-                while ((match = pattern.pattern.exec(text)) !== null) {
-                    const commentText = match[0];
-                    const commentStart = match.index;
-                    
-                    // Look for keyword in this comment
-                    const flags = caseSensitive ? 'g' : 'gi';
-                    const keywordRegex = new RegExp(`\\b${escapeRegExp(keyword)}\\b`, flags);
-                    let keywordMatch;
-                    
-                    while ((keywordMatch = keywordRegex.exec(commentText)) !== null) {
-                        const startPos = document.positionAt(commentStart + keywordMatch.index);
-                        const endPos = document.positionAt(commentStart + keywordMatch.index + keyword.length);
-                        
-                        ranges.push(new vscode.Range(startPos, endPos));
-                    }
-                }
-                
-                // Reset regex lastIndex for global patterns
-                pattern.pattern.lastIndex = 0;
-            } catch (error) {
-                logError(`Error processing pattern for keyword '${keyword}'`, error);
+        const staleAfterDays = config.get('blame.staleAfterDays', 0);
+        const inlineRanges = [];
+        const staleRanges = [];
+        const inlineLines = new Set();
+        const today = new Date();
+        tags.forEach(tag => {
+            const start = document.positionAt(tag.start);
+            const line = blame ? blame.get(start.line + 1) : null;
+            if (!line || line.uncommitted) {
+                return;
+            }
+            
+            if (staleAfterDays > 0 && getAgeDays(line.date, today) >= staleAfterDays) {
+                const end = document.positionAt(tag.metadata ? tag.metadata.end : tag.end);
+                staleRanges.push(new vscode.Range(start, end));
+            }
+            
+            // One ghost text per line, at its end
+            if (!inlineLines.has(start.line)) {
+                inlineLines.add(start.line);
+                const lineEnd = document.lineAt(start.line).range.end;
+                inlineRanges.push({
+                    range: new vscode.Range(lineEnd, lineEnd),
+                    renderOptions: { after: { contentText: `${line.author}, ${formatAge(line.date, today)}` } }
+                });
             }
         });
         
-        return ranges;
+        const editors = new Set(getEditorsForDocument(document).concat(extraEditors));
+        editors.forEach(editor => {
+            if (blameDecorationTypes.has('inline')) {
+                editor.setDecorations(blameDecorationTypes.get('inline'), inlineRanges);
+            }
+            if (blameDecorationTypes.has('stale')) {
+                editor.setDecorations(blameDecorationTypes.get('stale'), staleRanges);
+            }
+        });
     } catch (error) {
-        logError('Error finding comment keywords', error);
-        return [];
+        logError('Error updating blame decorations', error);
     }
 }
 
-function isRegexKeyword(keyword) {
+// Overdue state depends on the date, so redecorate shortly after midnight
+function scheduleDailyRefresh() {
     try {
-        // Check if keyword starts and ends with / indicating regex
-        return keyword.startsWith('/') && keyword.endsWith('/') && keyword.length > 2;
+        if (dailyRefreshTimer) {
+            clearTimeout(dailyRefreshTimer);
+        }
+        const now = new Date();
+        const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 5);
+        dailyRefreshTimer = setTimeout(() => {
+            dailyRefreshTimer = null;
+            updateVisibleEditors();
+            scheduleDailyRefresh();
+        }, nextMidnight - now);
     } catch (error) {
-        return false;
+        logError('Error scheduling daily refresh', error);
     }
 }
 
-function findRegexKeywords(document, regexKeyword, commentPatterns, caseSensitive) {
+function cancelPendingUpdate(document) {
     try {
-        const ranges = [];
-        const text = document.getText();
-        
-        // Extract regex pattern from /pattern/ format
-        const regexPattern = regexKeyword.slice(1, -1);
-        const flags = caseSensitive ? 'g' : 'gi';
-        
-        commentPatterns.forEach(pattern => {
-            try {
-                let match;
-                
-                while ((match = pattern.pattern.exec(text)) !== null) {
-                    const commentText = match[0];
-                    const commentStart = match.index;
-                    
-                    // Apply user regex pattern
-                    const userRegex = new RegExp(regexPattern, flags);
-                    let regexMatch;
-                    
-                    while ((regexMatch = userRegex.exec(commentText)) !== null) {
-                        const startPos = document.positionAt(commentStart + regexMatch.index);
-                        const endPos = document.positionAt(commentStart + regexMatch.index + regexMatch[0].length);
-                        
-                        ranges.push(new vscode.Range(startPos, endPos));
-                    }
-                }
-                
-                pattern.pattern.lastIndex = 0;
-            } catch (error) {
-                logError(`Error processing regex pattern '${regexKeyword}'`, error);
-            }
-        });
-        
-        return ranges;
+        const key = document.uri.toString();
+        const tokenSource = pendingUpdates.get(key);
+        if (tokenSource) {
+            tokenSource.cancel();
+            pendingUpdates.delete(key);
+        }
     } catch (error) {
-        logError('Error finding regex keywords', error);
-        return [];
+        logError('Error cancelling decoration update', error);
     }
 }
 
-function escapeRegExp(string) {
+// Collects every keyword match in a document as ranges, for consumers such as
+// the workspace tag explorer. Open documents go through the version cache.
+function findCommentKeywords(document) {
     try {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const tags = typeof document.version === 'number'
+            ? tagCache.getTags(document)
+            : tagCache.computeTags(document.getText(), document.languageId);
+        if (!tags) {
+            return [];
+        }
+        
+        return tags.map(tag => ({
+            keyword: tag.keyword,
+            urgency: tag.urgency || 0,
+            color: getKeywordColor(activeKeywords[tag.keyword]),
+            range: new vscode.Range(document.positionAt(tag.start), document.positionAt(tag.end)),
+            metadata: tag.metadata,
+            comment: {
+                type: tag.comment.type,
+                open: tag.comment.open,
+                range: new vscode.Range(document.positionAt(tag.comment.start), document.positionAt(tag.comment.end))
+            }
+        }));
     } catch (error) {
-        logError('Error escaping regex', error);
-        return string;
+        logError('Error finding comment keywords', error);
+        return [];
     }
 }
 
-function getDefaultKeywords() {
-    return {
-        "TODO": "#00BFFF",
-        "FIXME": "#FF4500",
-        "NOTE": "#32CD32",
-        "WARNING": "#FFD700",
-        "HACK": "#9932CC",
-        "BUG": "#FF0000",
-        "REVIEW": "#FF69B4",
-        "DEPRECATED": "#808080"
-    };
-}
-
 // Command implementations
 async function addCustomKeyword() {
     try {
         const keyword = await vscode.window.showInputBox({
-            prompt: 'Enter keyword (e.g., TODO, URGENT, or /regex/)',
+            prompt: 'Enter keyword (e.g., TODO, URGENT, ! or /regex/)',
             placeHolder: 'Keyword or /regex pattern/',
             validateInput: (value) => {
+                if (value && isSymbolKeyword(value.trim())) {
+                    return null;
+                }
                 if (!value || value.trim().length < 2) {
                     return 'Keyword must be at least 2 characters long';
                 }
-                if (!/^[a-zA-Z0-9_/-]+$/.test(value)) {
+                if (isRegexKeyword(value)) {
+                    const patternError = validatePattern(value.slice(1, -1));
+                    return patternError ? `Invalid pattern: ${patternError}` : null;
+                }
+                if (!/^[a-zA-Z0-9_-]+$/.test(value)) {
                     return 'Keyword contains invalid characters';
                 }
                 return null;
@@ -720,12 +1118,12 @@ async function addCustomKeyword() {
         if (!keyword) return;
         
         const color = await vscode.window.showInputBox({
-            prompt: 'Enter color (hex format)',
+            prompt: 'Enter color (hex, rgb(), hsl(), a CSS color name or a theme color id)',
             placeHolder: '#FF0000',
             value: '#FF0000',
             validateInput: (value) => {
                 if (!isValidColor(value)) {
-                    return 'Please enter a valid hex color (e.g., #FF0000)';
+                    return 'Please enter a valid color (e.g., #FF0000, rgba(255, 0, 0, 0.8), tomato or editorError.foreground)';
                 }
                 return null;
             }
@@ -733,14 +1131,14 @@ async function addCustomKeyword() {
         
         if (!color) return;
         
-        const config = vscode.workspace.getConfiguration('commentWizard');
-        const customKeywords = config.get('customKeywords', {});
+        const target = await pickConfigurationTarget(`Where should ${keyword.trim()} be added?`);
+        if (!target) return;
         
+        const customKeywords = { ...(readTargetValue(target, 'customKeywords') || {}) };
         customKeywords[keyword.trim()] = color.trim();
+        await writeTargetValue(target, 'customKeywords', customKeywords);
         
-        await config.update('customKeywords', customKeywords, vscode.ConfigurationTarget.Global);
-        
-        vscode.window.showInformationMessage(`Added keyword: ${keyword} with color ${color}`);
+        vscode.window.showInformationMessage(`Added keyword: ${keyword} with color ${color} to ${target.label}`);
         
     } catch (error) {
         logError('Error adding custom keyword', error);
@@ -748,9 +1146,33 @@ async function addCustomKeyword() {
     }
 }
 
+// Keywords of a preset are added to customKeywords; existing entries of the
+// same name are replaced
+async function applyKeywordPreset() {
+    try {
+        const picked = await vscode.window.showQuickPick(
+            Object.values(KEYWORD_PRESETS).map(preset => ({ label: preset.label, description: preset.description, detail: preset.detail, preset })),
+            { placeHolder: 'Select a keyword preset' }
+        );
+        if (!picked) return;
+        
+        const target = await pickConfigurationTarget(`Where should the ${picked.label} preset be added?`);
+        if (!target) return;
+        
+        const customKeywords = { ...(readTargetValue(target, 'customKeywords') || {}), ...picked.preset.keywords };
+        await writeTargetValue(target, 'customKeywords', customKeywords);
+        
+        vscode.window.showInformationMessage(`Added ${Object.keys(picked.preset.keywords).join(' ')} from ${picked.label} to ${target.label}`);
+        
+    } catch (error) {
+        logError('Error applying keyword preset', error);
+        throw error;
+    }
+}
+
 async function removeKeyword() {
     try {
-        const config = vscode.workspace.getConfiguration('commentWizard');
+        const config = getConfiguration();
         const keywords = config.get('keywords', {});
         const customKeywords = config.get('customKeywords', {});
         
@@ -768,13 +1190,20 @@ async function removeKeyword() {
         
         if (!selectedKeyword) return;
         
-        // Remove from custom keywords if it exists there
-        if (customKeywords[selectedKeyword]) {
-            delete customKeywords[selectedKeyword];
-            await config.update('customKeywords', customKeywords, vscode.ConfigurationTarget.Global);
-            vscode.window.showInformationMessage(`Removed keyword: ${selectedKeyword}`);
-        } else {
+        const defaultKeywords = (config.inspect('keywords') || {}).defaultValue || {};
+        const target = await pickConfigurationTarget(`Where should ${selectedKeyword} be removed from?`);
+        if (!target) return;
+        
+        // Remove from the target's custom keywords, or its own keyword map
+        const removed = await removeTargetKeyword(target, 'customKeywords', selectedKeyword)
+            || await removeTargetKeyword(target, 'keywords', selectedKeyword);
+        
+        if (removed) {
+            vscode.window.showInformationMessage(`Removed keyword: ${selectedKeyword} from ${target.label}`);
+        } else if (defaultKeywords[selectedKeyword]) {
             vscode.window.showWarningMessage(`Cannot remove built-in keyword: ${selectedKeyword}. You can override it by adding a custom keyword with the same name.`);
+        } else {
+            vscode.window.showWarningMessage(`${selectedKeyword} is not defined in ${target.label}`);
         }
         
     } catch (error) {
@@ -783,9 +1212,74 @@ async function removeKeyword() {
     }
 }
 
+// Asks where add/remove commands write: user, workspace or folder settings,
+// or the project file shared through version control.
+async function pickConfigurationTarget(placeHolder) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const items = [{ label: 'User Settings', target: vscode.ConfigurationTarget.Global }];
+    if (folders.length > 0) {
+        items.push(
+            { label: 'Workspace Settings', target: vscode.ConfigurationTarget.Workspace },
+            { label: 'Workspace Folder Settings', target: vscode.ConfigurationTarget.WorkspaceFolder }
+        );
+        // Project files are not read in untrusted workspaces
+        if (vscode.workspace.isTrusted) {
+            items.push({ label: `Project File (${RC_FILE})`, description: 'Shared with everyone who opens the project', target: 'project' });
+        }
+    }
+    
+    const picked = await vscode.window.showQuickPick(items, { placeHolder });
+    if (!picked) return null;
+    
+    let folder = null;
+    if (picked.target === vscode.ConfigurationTarget.WorkspaceFolder || picked.target === 'project') {
+        folder = folders.length === 1 ? folders[0] : await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Select workspace folder' });
+        if (!folder) return null;
+    }
+    
+    const label = folder && folders.length > 1 ? `${picked.label} of ${folder.name}` : picked.label;
+    return { target: picked.target, folder, label };
+}
+
+function readTargetValue(target, key) {
+    if (target.target === 'project') {
+        return getProjectValueForFolder(target.folder, key);
+    }
+    
+    const inspected = vscode.workspace.getConfiguration('commentWizard', target.folder ? target.folder.uri : undefined).inspect(key) || {};
+    switch (target.target) {
+        case vscode.ConfigurationTarget.Workspace:
+            return inspected.workspaceValue;
+        case vscode.ConfigurationTarget.WorkspaceFolder:
+            return inspected.workspaceFolderValue;
+        default:
+            return inspected.globalValue;
+    }
+}
+
+async function writeTargetValue(target, key, value) {
+    if (target.target === 'project') {
+        await updateProjectValue(target.folder, key, value);
+        return;
+    }
+    const config = vscode.workspace.getConfiguration('commentWizard', target.folder ? target.folder.uri : undefined);
+    await config.update(key, value, target.target);
+}
+
+async function removeTargetKeyword(target, key, keyword) {
+    const keywords = readTargetValue(target, key);
+    if (!keywords || typeof keywords !== 'object' || !(keyword in keywords)) {
+        return false;
+    }
+    const remaining = { ...keywords };
+    delete remaining[keyword];
+    await writeTargetValue(target, key, remaining);
+    return true;
+}
+
 async function exportTheme() {
     try {
-        const config = vscode.workspace.getConfiguration('commentWizard');
+        const config = getConfiguration();
         
         const theme = {
             name: `Comment Wizard Theme - ${new Date().toISOString().split('T')[0]}`,
@@ -795,9 +1289,15 @@ async function exportTheme() {
             settings: {
                 caseSensitive: config.get('caseSensitive', false),
                 highlightStyle: config.get('highlightStyle', 'text'),
+                highlightScope: config.get('highlightScope', 'keyword'),
+                keywordScopes: config.get('keywordScopes', {}),
                 fontWeight: config.get('fontWeight', 'bold'),
                 showIcons: config.get('showIcons', false),
-                enableRegexKeywords: config.get('enableRegexKeywords', false)
+                overviewRulerKeywords: config.get('overviewRuler.keywords', []),
+                overviewRulerLane: config.get('overviewRuler.lane', 'right'),
+                gutterIconKeywords: config.get('gutterIcons.keywords', []),
+                enableRegexKeywords: config.get('enableRegexKeywords', false),
+                regexPatterns: config.get('regexPatterns', [])
             }
         };
         
@@ -819,6 +1319,104 @@ async function exportTheme() {
     }
 }
 
+async function exportReport() {
+    try {
+        if (!tagIndex || !vscode.workspace.workspaceFolders) {
+            vscode.window.showWarningMessage('Open a folder to export a report of its tagged comments');
+            return;
+        }
+        
+        const format = await vscode.window.showQuickPick(
+            Object.entries(REPORT_FORMATS).map(([id, info]) => ({ label: info.label, id, extension: info.extension })),
+            { placeHolder: 'Report format' }
+        );
+        if (!format) return;
+        
+        const grouping = await vscode.window.showQuickPick([
+            { label: 'Keyword', id: 'keyword' },
+            { label: 'File', id: 'file' },
+            { label: 'Owner', id: 'owner' }
+        ], { placeHolder: 'Group tagged comments by' });
+        if (!grouping) return;
+        
+        const gitColumns = await vscode.window.showQuickPick([
+            { label: 'No', includeGit: false },
+            { label: 'Yes', description: 'Runs git blame on every file with tagged comments', includeGit: true }
+        ], { placeHolder: 'Include git author and date columns?' });
+        if (!gitColumns) return;
+        
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.joinPath(vscode.workspace.workspaceFolders[0].uri, `comment-wizard-report.${format.extension}`),
+            filters: {
+                [`${format.label} files`]: [format.extension]
+            }
+        });
+        if (!uri) return;
+        
+        const report = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Comment Wizard: Exporting report'
+        }, async progress => {
+            progress.report({ message: 'Scanning workspace...' });
+            await tagIndex.ensureScanned();
+            const tags = tagIndex.getTags();
+            
+            const blames = new Map();
+            if (gitColumns.includeGit) {
+                // Blame lines of a notebook file do not match cell lines
+                const files = Array.from(new Set(tags.filter(tag => tag.cellIndex === undefined).map(tag => tag.uri.fsPath)));
+                for (let i = 0; i < files.length; i++) {
+                    progress.report({ message: `Running git blame (${i + 1}/${files.length})...` });
+                    blames.set(files[i], await blameCache.getBlame(files[i]));
+                }
+            }
+            
+            // Links are relative to the report so they keep working when the folder moves
+            const reportDirectory = path.dirname(uri.fsPath);
+            const entries = tags.map(tag => {
+                const blame = tag.cellIndex === undefined ? blames.get(tag.uri.fsPath) : null;
+                const line = blame ? blame.get(tag.range.start.line + 1) : null;
+                const relativePath = path.relative(reportDirectory, tag.uri.fsPath).split(path.sep).join('/');
+                return {
+                    keyword: tag.keyword,
+                    urgency: tag.urgency,
+                    file: vscode.workspace.asRelativePath(tag.uri),
+                    cell: tag.cellIndex === undefined ? undefined : tag.cellIndex + 1,
+                    line: tag.range.start.line + 1,
+                    column: tag.range.start.character + 1,
+                    owner: tag.metadata && tag.metadata.owner,
+                    due: tag.metadata && tag.metadata.due,
+                    text: tag.text,
+                    link: tag.cellIndex === undefined ? `${relativePath}#L${tag.range.start.line + 1}` : relativePath,
+                    author: line && !line.uncommitted ? line.author : undefined,
+                    date: line && !line.uncommitted ? line.date : undefined
+                };
+            });
+            
+            const keywordColors = {};
+            Object.entries(activeKeywords).forEach(([keyword, style]) => {
+                keywordColors[keyword] = toHexColor(getKeywordColor(style)) || '#808080';
+            });
+            
+            return formatReport(format.id, entries, {
+                groupBy: grouping.id,
+                includeGit: gitColumns.includeGit,
+                keywordColors
+            });
+        });
+        
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(report, 'utf8'));
+        const action = await vscode.window.showInformationMessage(`Report exported to ${uri.fsPath}`, 'Open');
+        if (action === 'Open') {
+            await vscode.commands.executeCommand('vscode.open', uri);
+        }
+        
+    } catch (error) {
+        logError('Error exporting report', error);
+        throw error;
+    }
+}
+
 async function importTheme() {
     try {
         const uri = await vscode.window.showOpenDialog({
@@ -843,13 +1441,33 @@ async function importTheme() {
         
         const config = vscode.workspace.getConfiguration('commentWizard');
         
+        // Keep only entries that are valid color strings or style objects
+        const rejected = [];
+        const filterKeywords = keywords => {
+            const valid = {};
+            Object.entries(keywords || {}).forEach(([keyword, style]) => {
+                const styleError = validateKeywordStyle(style);
+                if (styleError) {
+                    rejected.push(`${keyword} (${styleError})`);
+                } else {
+                    valid[keyword] = style;
+                }
+            });
+            return valid;
+        };
+        
         // Import keywords
         if (theme.keywords) {
-            await config.update('keywords', theme.keywords, vscode.ConfigurationTarget.Global);
+            await config.update('keywords', filterKeywords(theme.keywords), vscode.ConfigurationTarget.Global);
         }
         
         if (theme.customKeywords) {
-            await config.update('customKeywords', theme.customKeywords, vscode.ConfigurationTarget.Global);
+            await config.update('customKeywords', filterKeywords(theme.customKeywords), vscode.ConfigurationTarget.Global);
+        }
+        
+        if (rejected.length > 0) {
+            logError(`Skipped invalid keywords from theme: ${rejected.join(', ')}`);
+            vscode.window.showWarningMessage(`Skipped ${rejected.length} invalid keyword(s) from theme: ${rejected.join(', ')}`);
         }
         
         // Import settings if available
@@ -861,15 +1479,40 @@ async function importTheme() {
             if (settings.highlightStyle !== undefined) {
                 await config.update('highlightStyle', settings.highlightStyle, vscode.ConfigurationTarget.Global);
             }
+            if (settings.highlightScope !== undefined) {
+                await config.update('highlightScope', settings.highlightScope, vscode.ConfigurationTarget.Global);
+            }
+            if (settings.keywordScopes !== undefined) {
+                await config.update('keywordScopes', settings.keywordScopes, vscode.ConfigurationTarget.Global);
+            }
             if (settings.fontWeight !== undefined) {
                 await config.update('fontWeight', settings.fontWeight, vscode.ConfigurationTarget.Global);
             }
             if (settings.showIcons !== undefined) {
                 await config.update('showIcons', settings.showIcons, vscode.ConfigurationTarget.Global);
             }
+            if (settings.overviewRulerKeywords !== undefined) {
+                await config.update('overviewRuler.keywords', settings.overviewRulerKeywords, vscode.ConfigurationTarget.Global);
+            }
+            if (settings.overviewRulerLane !== undefined) {
+                await config.update('overviewRuler.lane', settings.overviewRulerLane, vscode.ConfigurationTarget.Global);
+            }
+            if (settings.gutterIconKeywords !== undefined) {
+                await config.update('gutterIcons.keywords', settings.gutterIconKeywords, vscode.ConfigurationTarget.Global);
+            }
             if (settings.enableRegexKeywords !== undefined) {
                 await config.update('enableRegexKeywords', settings.enableRegexKeywords, vscode.ConfigurationTarget.Global);
             }
+            if (Array.isArray(settings.regexPatterns)) {
+                // Invalid rules are reported and left out, like invalid keywords
+                const invalidRules = [];
+                const rules = compileRegexRules(settings.regexPatterns, message => invalidRules.push(message));
+                await config.update('regexPatterns', rules.map(rule => settings.regexPatterns[rule.index]), vscode.ConfigurationTarget.Global);
+                if (invalidRules.length > 0) {
+                    invalidRules.forEach(message => logError(message));
+                    vscode.window.showWarningMessage(`Skipped ${invalidRules.length} invalid regex rule(s) from theme. See output for details.`);
+                }
+            }
         }
         
         vscode.window.showInformationMessage(`Theme imported successfully: ${theme.name || 'Unnamed theme'}`);
@@ -898,9 +1541,15 @@ async function resetToDefault() {
         await config.update('customKeywords', {}, vscode.ConfigurationTarget.Global);
         await config.update('caseSensitive', false, vscode.ConfigurationTarget.Global);
         await config.update('highlightStyle', 'text', vscode.ConfigurationTarget.Global);
+        await config.update('highlightScope', 'keyword', vscode.ConfigurationTarget.Global);
+        await config.update('keywordScopes', {}, vscode.ConfigurationTarget.Global);
         await config.update('fontWeight', 'bold', vscode.ConfigurationTarget.Global);
         await config.update('showIcons', false, vscode.ConfigurationTarget.Global);
+        await config.update('overviewRuler.keywords', [], vscode.ConfigurationTarget.Global);
+        await config.update('overviewRuler.lane', 'right', vscode.ConfigurationTarget.Global);
+        await config.update('gutterIcons.keywords', [], vscode.ConfigurationTarget.Global);
         await config.update('enableRegexKeywords', false, vscode.ConfigurationTarget.Global);
+        await config.update('regexPatterns', [], vscode.ConfigurationTarget.Global);
         
         vscode.window.showInformationMessage('Comment Wizard settings reset to default values');
         
@@ -914,34 +1563,28 @@ function deactivate() {
     try {
         logInfo('Comment Wizard is deactivating...');
         
-        // Clear timeout
-        if (timeout) {
-            clearTimeout(timeout);
-            timeout = null;
+        // Clear pending updates
+        updateTimers.forEach(timer => clearTimeout(timer));
+        updateTimers.clear();
+        if (dailyRefreshTimer) {
+            clearTimeout(dailyRefreshTimer);
+            dailyRefreshTimer = null;
         }
         
         // Dispose decoration types
-        if (decorationTypes && decorationTypes.size > 0) {
-            decorationTypes.forEach(decorationType => {
-                try {
-                    if (decorationType && typeof decorationType.dispose === 'function') {
-                        decorationType.dispose();
-                    }
-                } catch (error) {
-                    logError('Error disposing decoration type during deactivation', error);
-                }
-            });
-            decorationTypes.clear();
-        }
-        
-        // Close logger
-        if (logger) {
-            logger.dispose();
-            logger = null;
-        }
+        disposeDecorationTypes(decorationTypes);
+        disposeDecorationTypes(metadataDecorationTypes);
+        disposeDecorationTypes(scopeDecorationTypes);
+        disposeDecorationTypes(blameDecorationTypes);
+        disposeDecorationTypes(regexDecorationTypes);
+        disposeDecorationTypes(urgencyDecorationTypes);
+        disposeDecorationTypes(docTagDecorationTypes);
         
         logInfo('Comment Wizard deactivated successfully');
         
+        // Close logger
+        disposeLogger();
+        
     } catch (error) {
         console.error('Error during deactivation:', error);
     }
@@ -0,0 +1,524 @@
+// Command line scanner: finds tagged comments in a directory tree with the
+// same keyword settings and language table as the extension, for CI checks
+// such as "no BUG or FIXME on main".
+//
+// Settings are read from the current directory, later sources winning:
+//   extension defaults < .commentwizardrc.json (or "commentwizard" in
+//   package.json, or --config) < .vscode/settings.json
+
+const fs = require('fs');
+const path = require('path');
+const { isLanguageSupported } = require('./commentLexer');
+const { getLanguageIdForFile } = require('./fileLanguages');
+const { isNotebookFile, parseNotebookCells } = require('./notebooks');
+const { parseJsonc } = require('./jsonc');
+const { globToRegExpSource, parseGitignore, isIgnored } = require('./gitignore');
+const { getOverdueDays } = require('./tagMetadata');
+const { createTagScanner, applyLanguageSettings, lookupSetting, layerSetting, getLineStarts, positionAt } = require('./tagEngine');
+
+const packageJson = require('../package.json');
+
+const FORMATS = ['text', 'json', 'sarif'];
+const SKIPPED_DIRECTORIES = new Set(['.git', '.hg', '.svn']);
+const SETTING_PREFIX = 'commentWizard.';
+
+const EXIT_OK = 0;
+const EXIT_BLOCKING = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: comment-wizard [options] [paths...]
+
+Scans files for tagged comments (TODO, FIXME, BUG, ...) and exits with code 1
+when blocking keywords or overdue tags are found.
+
+Options:
+  -f, --format <text|json|sarif>  Output format (default: text)
+  -o, --output <file>             Write the report to a file instead of stdout
+  -i, --include <glob>            Only scan matching files (repeatable)
+  -e, --exclude <glob>            Skip matching files and directories (repeatable)
+  -b, --blocking <keywords>       Comma-separated keywords that fail the run
+                                  (default: commentWizard.ci.blockingKeywords)
+      --fail-on-overdue           Fail when a tag's due date has passed
+                                  (default: commentWizard.ci.failOnOverdue)
+  -c, --config <file>             Settings file used instead of .commentwizardrc.json
+      --no-gitignore              Scan files ignored by .gitignore
+  -h, --help                      Show this help
+  -v, --version                   Show the version`;
+
+function parseArgs(argv) {
+    const options = {
+        paths: [],
+        format: 'text',
+        output: null,
+        includes: [],
+        excludes: [],
+        blocking: null,
+        failOnOverdue: false,
+        config: null,
+        gitignore: true,
+        help: false,
+        version: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].startsWith('--') && argv[i].includes('=')
+            ? [argv[i].slice(0, argv[i].indexOf('=')), argv[i].slice(argv[i].indexOf('=') + 1)]
+            : [argv[i], undefined];
+        const value = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${flag}`);
+            return argv[++i];
+        };
+
+        switch (flag) {
+            case '-f':
+            case '--format':
+                options.format = value();
+                if (!FORMATS.includes(options.format)) {
+                    throw new Error(`Unknown format '${options.format}', expected ${FORMATS.join(', ')}`);
+                }
+                break;
+            case '-o':
+            case '--output':
+                options.output = value();
+                break;
+            case '-i':
+            case '--include':
+                options.includes.push(value());
+                break;
+            case '-e':
+            case '--exclude':
+                options.excludes.push(value());
+                break;
+            case '-b':
+            case '--blocking':
+                options.blocking = (options.blocking || []).concat(value().split(',').map(keyword => keyword.trim()).filter(Boolean));
+                break;
+            case '--fail-on-overdue':
+                options.failOnOverdue = true;
+                break;
+            case '-c':
+            case '--config':
+                options.config = value();
+                break;
+            case '--no-gitignore':
+                options.gitignore = false;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-v':
+            case '--version':
+                options.version = true;
+                break;
+            default:
+                if (flag.startsWith('-') && flag !== '-') {
+                    throw new Error(`Unknown option ${flag}`);
+                }
+                options.paths.push(flag);
+        }
+    }
+
+    if (options.paths.length === 0) {
+        options.paths.push('.');
+    }
+    return options;
+}
+
+function readJsonFile(filePath, jsonc = false) {
+    if (!fs.existsSync(filePath)) {
+        return undefined;
+    }
+    const text = fs.readFileSync(filePath, 'utf8');
+    try {
+        return jsonc ? parseJsonc(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Could not parse ${filePath}: ${error.message}`);
+    }
+}
+
+// Accepts both "keywords" and "commentWizard.keywords" style keys
+function stripPrefix(values) {
+    if (!values || typeof values !== 'object') {
+        return {};
+    }
+    const stripped = {};
+    Object.entries(values).forEach(([key, value]) => {
+        stripped[key.startsWith(SETTING_PREFIX) ? key.slice(SETTING_PREFIX.length) : key] = value;
+    });
+    return stripped;
+}
+
+function getContributedDefaults() {
+    const defaults = {};
+    const properties = (packageJson.contributes && packageJson.contributes.configuration && packageJson.contributes.configuration.properties) || {};
+    Object.entries(properties).forEach(([key, schema]) => {
+        if (key.startsWith(SETTING_PREFIX) && schema.default !== undefined) {
+            defaults[key.slice(SETTING_PREFIX.length)] = schema.default;
+        }
+    });
+    return defaults;
+}
+
+function loadProjectSettings(root, configPath) {
+    if (configPath) {
+        const values = readJsonFile(path.resolve(root, configPath), true);
+        if (values === undefined) {
+            throw new Error(`Config file not found: ${configPath}`);
+        }
+        return stripPrefix(values);
+    }
+
+    const rc = readJsonFile(path.join(root, '.commentwizardrc.json'), true);
+    if (rc && typeof rc === 'object') {
+        return stripPrefix(rc);
+    }
+    const projectPackage = readJsonFile(path.join(root, 'package.json'));
+    return stripPrefix(projectPackage && projectPackage.commentwizard);
+}
+
+// Same layering as the extension: project values merge into the defaults,
+// workspace settings replace them.
+function loadSettings(root, configPath) {
+    const defaults = getContributedDefaults();
+    const project = loadProjectSettings(root, configPath);
+    const vscodeSettings = readJsonFile(path.join(root, '.vscode', 'settings.json'), true) || {};
+    const workspace = {};
+    Object.entries(vscodeSettings).forEach(([key, value]) => {
+        if (key.startsWith(SETTING_PREFIX)) {
+            workspace[key.slice(SETTING_PREFIX.length)] = value;
+        }
+    });
+
+    return {
+        get(key, defaultValue) {
+            let value = layerSetting(lookupSetting(defaults, key), lookupSetting(project, key));
+            const workspaceValue = lookupSetting(workspace, key);
+            if (workspaceValue !== undefined) {
+                value = workspaceValue;
+            }
+            return value === undefined ? defaultValue : value;
+        }
+    };
+}
+
+function expandBraces(glob) {
+    const match = /\{([^{}]*)\}/.exec(glob);
+    if (!match) {
+        return [glob];
+    }
+    return match[1].split(',').flatMap(option =>
+        expandBraces(glob.slice(0, match.index) + option + glob.slice(match.index + match[0].length)));
+}
+
+// Globs without a slash match at any depth, like .gitignore patterns
+function compileGlobs(globs) {
+    return globs.flatMap(expandBraces).map(glob => {
+        const pattern = glob.replace(/^\.\//, '');
+        const prefix = pattern.includes('/') ? '^' : '^(?:.*/)?';
+        return new RegExp(`${prefix}${globToRegExpSource(pattern.replace(/^\//, ''))}$`);
+    });
+}
+
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function createFileFilter(root, options, settings) {
+    const includes = compileGlobs(options.includes);
+    const excludes = compileGlobs(options.excludes);
+    const respectGitignore = options.gitignore && settings.get('explorer.respectGitignore', true);
+    const gitignores = new Map();
+
+    const getRules = directory => {
+        if (!gitignores.has(directory)) {
+            const file = path.join(directory, '.gitignore');
+            gitignores.set(directory, fs.existsSync(file) ? parseGitignore(fs.readFileSync(file, 'utf8')) : null);
+        }
+        return gitignores.get(directory);
+    };
+
+    // Checks the .gitignore of every directory from the root down to the file
+    const isGitignored = (filePath, isDirectory) => {
+        let directory = path.dirname(filePath);
+        while (directory.length >= root.length) {
+            const rules = getRules(directory);
+            if (rules) {
+                // isIgnored treats every segment but the last as a directory
+                const relative = toPosixPath(path.relative(directory, filePath)) + (isDirectory ? '/x' : '');
+                if (isIgnored(rules, relative)) {
+                    return true;
+                }
+            }
+            const parent = path.dirname(directory);
+            if (parent === directory) break;
+            directory = parent;
+        }
+        return false;
+    };
+
+    const relative = filePath => toPosixPath(path.relative(root, filePath));
+
+    return {
+        relative,
+        acceptsDirectory(directoryPath) {
+            if (SKIPPED_DIRECTORIES.has(path.basename(directoryPath))) return false;
+            const relativePath = relative(directoryPath);
+            if (excludes.some(regex => regex.test(relativePath) || regex.test(relativePath + '/'))) return false;
+            return !respectGitignore || !isGitignored(directoryPath, true);
+        },
+        acceptsFile(filePath) {
+            const relativePath = relative(filePath);
+            if (includes.length > 0 && !includes.some(regex => regex.test(relativePath))) return false;
+            if (excludes.some(regex => regex.test(relativePath))) return false;
+            return !respectGitignore || !isGitignored(filePath, false);
+        }
+    };
+}
+
+function collectFiles(target, filter, files) {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) {
+        files.push(target);
+        return;
+    }
+    if (!stat.isDirectory() || !filter.acceptsDirectory(target)) {
+        return;
+    }
+
+    fs.readdirSync(target, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+            const entryPath = path.join(target, entry.name);
+            if (entry.isDirectory()) {
+                collectFiles(entryPath, filter, files);
+            } else if (entry.isFile() && filter.acceptsFile(entryPath)) {
+                files.push(entryPath);
+            }
+        });
+}
+
+function scanText(text, languageId, scanner, today) {
+    const tags = scanner.scan(text, languageId) || [];
+    const lineStarts = tags.length > 0 ? getLineStarts(text) : null;
+    return tags.map(tag => {
+        const start = positionAt(lineStarts, tag.start);
+        const end = positionAt(lineStarts, tag.end);
+        const lineEnd = start.line + 1 < lineStarts.length ? lineStarts[start.line + 1] : text.length;
+        const metadata = {};
+        if (tag.metadata) {
+            ['owner', 'due', 'priority', 'issue'].forEach(field => {
+                if (tag.metadata[field] !== undefined) {
+                    metadata[field] = tag.metadata[field];
+                }
+            });
+        }
+
+        return {
+            keyword: tag.keyword,
+            line: start.line + 1,
+            column: start.character + 1,
+            endLine: end.line + 1,
+            endColumn: end.character + 1,
+            text: text.slice(lineStarts[start.line], lineEnd).trim(),
+            urgency: tag.urgency || 0,
+            metadata,
+            overdueDays: getOverdueDays(tag.metadata, today)
+        };
+    });
+}
+
+// Notebook results carry the 1-based cell; their lines count within the cell
+function scanFile(filePath, scanner, maxFileSize, today) {
+    const notebook = isNotebookFile(filePath);
+    const languageId = notebook ? null : getLanguageIdForFile(filePath);
+    if ((!notebook && (!languageId || !isLanguageSupported(languageId))) || fs.statSync(filePath).size > maxFileSize) {
+        return [];
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (text.slice(0, 8000).includes('\u0000')) {
+        return []; // Binary file
+    }
+
+    if (!notebook) {
+        return scanText(text, languageId, scanner, today);
+    }
+    const results = [];
+    parseNotebookCells(text).forEach(cell => {
+        scanText(cell.text, cell.languageId, scanner, today).forEach(result => results.push({ cell: cell.index + 1, ...result }));
+    });
+    return results;
+}
+
+function countBy(results, getKey) {
+    const counts = {};
+    results.forEach(result => {
+        const key = getKey(result);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+function formatCounts(counts) {
+    return Object.entries(counts).map(([keyword, count]) => `${keyword} ${count}`).join(', ');
+}
+
+function formatText(results, summary) {
+    const lines = results.map(result => {
+        const flags = [result.blocking ? 'blocking' : null, result.overdueDays > 0 ? `overdue ${result.overdueDays}d` : null].filter(Boolean);
+        const cell = result.cell === undefined ? '' : `[cell ${result.cell}]`;
+        return `${result.file}${cell}:${result.line}:${result.column}  ${result.keyword}${'!'.repeat(result.urgency)}${flags.length ? ` [${flags.join(', ')}]` : ''}  ${result.text}`;
+    });
+    if (lines.length > 0) {
+        lines.push('');
+    }
+    lines.push(`${summary.total} tagged comment${summary.total === 1 ? '' : 's'} in ${summary.files} file${summary.files === 1 ? '' : 's'}${summary.total ? ` (${formatCounts(summary.byKeyword)})` : ''}`);
+    if (summary.urgent > 0) {
+        lines.push(`${summary.urgent} urgent (${formatCounts(countBy(results.filter(result => result.urgency > 0), result => result.keyword))})`);
+    }
+    if (summary.blocking > 0) {
+        lines.push(`${summary.blocking} blocking (${formatCounts(countBy(results.filter(result => result.blocking), result => result.keyword))})`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function formatJson(results, summary) {
+    return JSON.stringify({ version: packageJson.version, summary, tags: results }, null, 2) + '\n';
+}
+
+function formatSarif(results) {
+    const keywords = Array.from(new Set(results.map(result => result.keyword))).sort();
+    const rules = keywords.map(keyword => ({
+        id: keyword,
+        name: keyword,
+        shortDescription: { text: `${keyword} comment` },
+        defaultConfiguration: { level: 'note' }
+    }));
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: packageJson.name,
+                    version: packageJson.version,
+                    rules
+                }
+            },
+            results: results.map(result => ({
+                ruleId: result.keyword,
+                ruleIndex: keywords.indexOf(result.keyword),
+                level: result.blocking ? 'error' : result.urgency > 0 ? 'warning' : 'note',
+                message: { text: result.cell === undefined ? result.text : `Cell ${result.cell}: ${result.text}` },
+                locations: [{
+                    // Lines inside a notebook cell do not map onto lines of the .ipynb file
+                    physicalLocation: {
+                        artifactLocation: { uri: encodeURI(result.file), uriBaseId: '%SRCROOT%' },
+                        ...(result.cell === undefined ? {
+                            region: {
+                                startLine: result.line,
+                                startColumn: result.column,
+                                endLine: result.endLine,
+                                endColumn: result.endColumn
+                            }
+                        } : {})
+                    }
+                }],
+                properties: {
+                    ...(result.cell === undefined ? {} : { cell: result.cell, cellLine: result.line }),
+                    ...result.metadata,
+                    ...(result.urgency > 0 ? { urgency: result.urgency } : {}),
+                    ...(result.overdueDays > 0 ? { overdueDays: result.overdueDays } : {})
+                }
+            }))
+        }]
+    };
+    return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+const FORMATTERS = {
+    text: formatText,
+    json: formatJson,
+    sarif: formatSarif
+};
+
+function run(options, cwd, onError) {
+    const settings = loadSettings(cwd, options.config);
+    applyLanguageSettings(settings, onError);
+    const scanner = createTagScanner(settings, onError);
+    const maxFileSize = settings.get('explorer.maxFileSize', 1048576);
+    const blocking = new Set((options.blocking || settings.get('ci.blockingKeywords', []) || []).map(keyword => keyword.toUpperCase()));
+    const failOnOverdue = options.failOnOverdue || settings.get('ci.failOnOverdue', false);
+    const today = new Date();
+
+    const filter = createFileFilter(cwd, options, settings);
+    const files = [];
+    options.paths.forEach(target => {
+        const resolved = path.resolve(cwd, target);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Path not found: ${target}`);
+        }
+        collectFiles(resolved, filter, files);
+    });
+
+    const results = [];
+    files.forEach(filePath => {
+        try {
+            scanFile(filePath, scanner, maxFileSize, today).forEach(result => {
+                result.blocking = blocking.has(result.keyword.toUpperCase()) || (failOnOverdue && result.overdueDays > 0);
+                results.push({ file: filter.relative(filePath), ...result });
+            });
+        } catch (error) {
+            onError(`Error scanning ${filePath}`, error);
+        }
+    });
+
+    const summary = {
+        total: results.length,
+        files: new Set(results.map(result => result.file)).size,
+        byKeyword: countBy(results, result => result.keyword),
+        urgent: results.filter(result => result.urgency > 0).length,
+        blocking: results.filter(result => result.blocking).length,
+        overdue: results.filter(result => result.overdueDays > 0).length
+    };
+    return { results, summary };
+}
+
+async function main(argv, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = {}) {
+    const onError = (message, error) => stderr.write(`comment-wizard: ${message}${error ? `: ${error.message || error}` : ''}\n`);
+
+    try {
+        const options = parseArgs(argv);
+        if (options.help) {
+            stdout.write(USAGE + '\n');
+            return EXIT_OK;
+        }
+        if (options.version) {
+            stdout.write(packageJson.version + '\n');
+            return EXIT_OK;
+        }
+
+        const { results, summary } = run(options, cwd, onError);
+        const report = FORMATTERS[options.format](results, summary);
+        if (options.output) {
+            fs.writeFileSync(path.resolve(cwd, options.output), report);
+        } else {
+            stdout.write(report);
+        }
+        return summary.blocking > 0 ? EXIT_BLOCKING : EXIT_OK;
+    } catch (error) {
+        onError(error.message);
+        return EXIT_ERROR;
+    }
+}
+
+module.exports = {
+    parseArgs,
+    parseJsonc,
+    loadSettings,
+    run,
+    main
+};
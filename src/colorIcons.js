@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tree items and gutter icons cannot be tinted with arbitrary colors, so each
+// color gets a small SVG written once to the extension's storage folder.
+const SHAPES = {
+    dot: color => `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><circle cx="8" cy="8" r="5" fill="${color}"/></svg>`,
+    bookmark: color => `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16"><path d="M4 2h8v12l-4-3-4 3z" fill="${color}"/></svg>`
+};
+
+function getColorIconPath(directory, color, shape = 'dot') {
+    if (!directory || typeof color !== 'string' || !SHAPES[shape]) {
+        return null;
+    }
+
+    const fileName = `${shape}-${color.replace(/[^a-zA-Z0-9]/g, '').toLowerCase()}.svg`;
+    const filePath = path.join(directory, fileName);
+    if (!fs.existsSync(filePath)) {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(filePath, SHAPES[shape](color.replace(/"/g, '')));
+    }
+    return filePath;
+}
+
+module.exports = {
+    getColorIconPath
+};
@@ -0,0 +1,154 @@
+// Color values accepted in keyword styles: hex (#RGB, #RGBA, #RRGGBB,
+// #RRGGBBAA), rgb()/rgba()/hsl()/hsla(), CSS named colors and VS Code theme
+// color ids such as "editorError.foreground".
+
+const NAMED_COLORS = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+    azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+    blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+    burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+    coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+    darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+    darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+    darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+    darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+    deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+    dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+    fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+    goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+    grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+    indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+    lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+    lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+    lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+    lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+    linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+    mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+    mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+    midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+    navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+    olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+    palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+    papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+    plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+    red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+    salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+    sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+    slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+    steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+    tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+    white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+const HEX_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)';
+const FUNCTION_PATTERN = new RegExp(
+    `^(rgba?|hsla?)\\(\\s*(${NUMBER})(%|deg)?\\s*[,\\s]\\s*(${NUMBER})(%)?\\s*[,\\s]\\s*(${NUMBER})(%)?\\s*(?:[,/]\\s*(${NUMBER})(%)?\\s*)?\\)$`,
+    'i'
+);
+
+// Theme color ids are dotted identifiers; undotted names are CSS colors
+const THEME_COLOR_PATTERN = /^[a-z][a-z0-9]*(\.[a-z0-9]+)+$/i;
+
+function isThemeColorId(color) {
+    return typeof color === 'string' && !NAMED_COLORS[color.toLowerCase()] && THEME_COLOR_PATTERN.test(color);
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360 / 60;
+    const chroma = (1 - Math.abs(2 * l - 1)) * s;
+    const x = chroma * (1 - Math.abs(hue % 2 - 1));
+    const [r, g, b] = hue < 1 ? [chroma, x, 0]
+        : hue < 2 ? [x, chroma, 0]
+        : hue < 3 ? [0, chroma, x]
+        : hue < 4 ? [0, x, chroma]
+        : hue < 5 ? [x, 0, chroma]
+        : [chroma, 0, x];
+    const m = l - chroma / 2;
+    return [r, g, b].map(channel => Math.round((channel + m) * 255));
+}
+
+// Returns { r, g, b, a } with channels 0-255 and alpha 0-1, or null for
+// theme color ids and anything that is not a color.
+function parseColor(color) {
+    if (typeof color !== 'string') {
+        return null;
+    }
+    const value = color.trim();
+    const named = NAMED_COLORS[value.toLowerCase()];
+    if (named) {
+        return parseColor(named);
+    }
+
+    if (HEX_PATTERN.test(value)) {
+        let hex = value.slice(1);
+        if (hex.length <= 4) {
+            hex = hex.split('').map(digit => digit + digit).join('');
+        }
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16),
+            a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    const match = FUNCTION_PATTERN.exec(value);
+    if (!match) {
+        return null;
+    }
+    const [, name, first, firstUnit, second, secondUnit, third, thirdUnit, alpha, alphaUnit] = match;
+    const a = alpha === undefined ? 1 : clamp(parseFloat(alpha) / (alphaUnit ? 100 : 1), 0, 1);
+
+    if (name.toLowerCase().startsWith('hsl')) {
+        if (firstUnit === '%' || !secondUnit || !thirdUnit) {
+            return null;
+        }
+        const [r, g, b] = hslToRgb(parseFloat(first), clamp(parseFloat(second) / 100, 0, 1), clamp(parseFloat(third) / 100, 0, 1));
+        return { r, g, b, a };
+    }
+
+    if (firstUnit === 'deg') {
+        return null;
+    }
+    const channel = (number, unit) => Math.round(clamp(unit ? parseFloat(number) * 2.55 : parseFloat(number), 0, 255));
+    return { r: channel(first, firstUnit), g: channel(second, secondUnit), b: channel(third, thirdUnit), a };
+}
+
+function isValidColor(color) {
+    return parseColor(color) !== null || isThemeColorId(color);
+}
+
+// CSS rgba() of the color with its alpha scaled down; null for theme colors,
+// whose alpha cannot be changed from here.
+function withAlpha(color, alpha) {
+    const parsed = parseColor(color);
+    if (!parsed) {
+        return null;
+    }
+    const a = Math.round(parsed.a * alpha * 1000) / 1000;
+    return `rgba(${parsed.r}, ${parsed.g}, ${parsed.b}, ${a})`;
+}
+
+// #RRGGBB form, for places that need a concrete color (generated SVG icons)
+function toHexColor(color) {
+    const parsed = parseColor(color);
+    if (!parsed) {
+        return null;
+    }
+    return '#' + [parsed.r, parsed.g, parsed.b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+module.exports = {
+    isThemeColorId,
+    parseColor,
+    isValidColor,
+    withAlpha,
+    toHexColor
+};
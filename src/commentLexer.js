@@ -0,0 +1,1140 @@
+// Comment lexer: walks source text once per document, skipping string,
+// character, template, raw-string and regex literals, and returns the exact
+// offsets of every comment. Kept free of the vscode API so it can run anywhere.
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+const REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+function findLineEnd(text, index) {
+    let end = text.indexOf('\n', index);
+    if (end === -1) {
+        end = text.length;
+    }
+    if (end > index && text[end - 1] === '\r') {
+        end--;
+    }
+    return end;
+}
+
+// True when only spaces or tabs precede index on its line
+function isLineStart(text, index) {
+    for (let i = index - 1; i >= 0; i--) {
+        const char = text[i];
+        if (char === '\n') return true;
+        if (char !== ' ' && char !== '\t' && char !== '\r') return false;
+    }
+    return true;
+}
+
+function previousNonSpace(text, index, stopAtLineStart = false) {
+    for (let i = index - 1; i >= 0; i--) {
+        const char = text[i];
+        if (char === '\n' && stopAtLineStart) return { char: null, index: i };
+        if (!/\s/.test(char)) return { char, index: i };
+    }
+    return { char: null, index: -1 };
+}
+
+function isIdentifierBefore(text, index) {
+    return index > 0 && IDENTIFIER_CHAR.test(text[index - 1]);
+}
+
+// ---------------------------------------------------------------------------
+// Comment matchers. Each returns the end offset of the comment or -1.
+// ---------------------------------------------------------------------------
+
+function lineComment(open, when = null) {
+    return {
+        triggers: open[0],
+        type: 'line',
+        open,
+        match(text, index) {
+            if (!text.startsWith(open, index)) return -1;
+            if (when && !when(text, index)) return -1;
+            return findLineEnd(text, index);
+        }
+    };
+}
+
+function blockComment(open, close, nested = false) {
+    return {
+        triggers: open[0],
+        type: 'block',
+        open,
+        close,
+        match(text, index) {
+            if (!text.startsWith(open, index)) return -1;
+
+            let depth = 1;
+            let i = index + open.length;
+            while (i < text.length) {
+                if (text.startsWith(close, i)) {
+                    depth--;
+                    i += close.length;
+                    if (depth === 0 || !nested) return i;
+                } else if (nested && text.startsWith(open, i)) {
+                    depth++;
+                    i += open.length;
+                } else {
+                    i++;
+                }
+            }
+            return text.length; // Unterminated comment runs to the end of the file
+        }
+    };
+}
+
+// Blocks such as Ruby's =begin/=end or Perl POD whose delimiters must start a line
+function lineStartBlock(open, openPattern, closePattern) {
+    return {
+        triggers: '=',
+        type: 'block',
+        open,
+        match(text, index) {
+            if (index > 0 && text[index - 1] !== '\n') return -1;
+            openPattern.lastIndex = index;
+            if (!openPattern.test(text)) return -1;
+
+            closePattern.lastIndex = index + 1;
+            const close = closePattern.exec(text);
+            return close ? findLineEnd(text, close.index) : text.length;
+        }
+    };
+}
+
+function luaBlockComment() {
+    const pattern = /--\[(=*)\[/y;
+    return {
+        triggers: '-',
+        type: 'block',
+        open: '--[[',
+        match(text, index) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            if (!match) return -1;
+            const close = `]${match[1]}]`;
+            const end = text.indexOf(close, index + match[0].length);
+            return end === -1 ? text.length : end + close.length;
+        }
+    };
+}
+
+// Python triple-quoted strings count as comments only when they stand alone
+// as a statement (docstrings and block-comment strings), not when assigned
+// or passed as an argument.
+function pythonDocstring(quote) {
+    const literal = quoted(quote, quote);
+    return {
+        triggers: quote[0],
+        type: 'block',
+        open: quote,
+        match(text, index, state) {
+            if (!text.startsWith(quote, index) || state.brackets > 0) return -1;
+
+            let start = index;
+            while (start > 0 && /[rRuU]/.test(text[start - 1])) {
+                start--;
+            }
+            if (!isLineStart(text, start)) return -1;
+
+            const previous = previousNonSpace(text, start);
+            if (previous.char === '\\') return -1;
+
+            return literal.match(text, index);
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Literal matchers. Each returns the end offset of the literal or -1.
+// ---------------------------------------------------------------------------
+
+function quoted(open, close = open, options = {}) {
+    const escape = options.escape === undefined ? '\\' : options.escape;
+    const multiline = options.multiline !== false;
+    const doubled = options.doubled === true;
+
+    return {
+        triggers: open[0],
+        match(text, index) {
+            if (!text.startsWith(open, index)) return -1;
+            if (options.when && !options.when(text, index)) return -1;
+
+            let i = index + open.length;
+            while (i < text.length) {
+                const char = text[i];
+                if (escape && char === escape) {
+                    i += 2;
+                    continue;
+                }
+                if (text.startsWith(close, i)) {
+                    if (doubled && text.startsWith(close, i + close.length)) {
+                        i += close.length * 2;
+                        continue;
+                    }
+                    return i + close.length;
+                }
+                if (!multiline && char === '\n') {
+                    return i; // Unterminated single-line literal stops at the line end
+                }
+                i++;
+            }
+            return text.length;
+        }
+    };
+}
+
+// Short character literals only, so Rust lifetimes ('a) and C++ digit
+// separators (1'000'000) are left alone.
+function charLiteral() {
+    const pattern = /'(?:\\.[^'\\\n]{0,8}|[^'\\\n])'/uy;
+    return {
+        triggers: '\'',
+        match(text, index) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            return match ? index + match[0].length : -1;
+        }
+    };
+}
+
+// JavaScript template literal; ${...} substitutions are lexed as code so
+// comments and nested templates inside them are still found.
+function templateLiteral() {
+    return {
+        triggers: '`',
+        match(text, index, state) {
+            if (text[index] !== '`') return -1;
+
+            let i = index + 1;
+            while (i < text.length) {
+                const char = text[i];
+                if (char === '\\') {
+                    i += 2;
+                } else if (char === '`') {
+                    return i + 1;
+                } else if (char === '$' && text[i + 1] === '{') {
+                    i = state.scanCode(i + 2, true) + 1;
+                } else {
+                    i++;
+                }
+            }
+            return text.length;
+        }
+    };
+}
+
+function regexLiteral() {
+    return {
+        triggers: '/',
+        match(text, index) {
+            if (text[index] !== '/' || text[index + 1] === '/' || text[index + 1] === '*') return -1;
+            if (!regexAllowed(text, index)) return -1;
+
+            let inClass = false;
+            let i = index + 1;
+            while (i < text.length) {
+                const char = text[i];
+                if (char === '\n') return -1;
+                if (char === '\\') {
+                    i += 2;
+                    continue;
+                }
+                if (char === '[') {
+                    inClass = true;
+                } else if (char === ']') {
+                    inClass = false;
+                } else if (char === '/' && !inClass) {
+                    i++;
+                    while (i < text.length && /[a-z]/i.test(text[i])) {
+                        i++;
+                    }
+                    return i;
+                }
+                i++;
+            }
+            return -1;
+        }
+    };
+}
+
+// JSX element in javascriptreact and typescriptreact. Text between tags is
+// not code, so `<p>// not a comment</p>` holds no comment; {...} expressions
+// and attribute values in braces are lexed as code, so {/* TODO */} is still
+// found. An element is only read where a regex could start (`a < b` compares)
+// and must be closed, or the text is lexed as plain code; the first unclosed
+// one is kept in state.unclosedAt, since a later edit can close it.
+function jsxElement() {
+    const attributeString = quoted('"', '"', { escape: null });
+    const attributeChar = quoted('\'', '\'', { escape: null });
+
+    // Offset after the element starting at index, or -1
+    function readElement(text, index, state) {
+        let i = index + 1;
+        while (i < text.length && /[\w$.:-]/.test(text[i])) {
+            i++;
+        }
+
+        // Attributes up to the end of the opening tag
+        while (i < text.length && text[i] !== '>') {
+            const char = text[i];
+            if (char === '/' && text[i + 1] === '>') {
+                return i + 2;
+            }
+            if (char === '{') {
+                i = state.scanCode(i + 1, true) + 1;
+            } else if (char === '"' || char === '\'') {
+                i = (char === '"' ? attributeString : attributeChar).match(text, i);
+            } else {
+                i++;
+            }
+        }
+        if (i >= text.length) return -1;
+
+        // Children up to the closing tag
+        i++;
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '{') {
+                i = state.scanCode(i + 1, true) + 1;
+            } else if (char === '<' && text[i + 1] === '/') {
+                const close = text.indexOf('>', i);
+                return close === -1 ? -1 : close + 1;
+            } else if (char === '<') {
+                const end = readElement(text, i, state);
+                if (end === -1) return -1;
+                i = end;
+            } else {
+                i++;
+            }
+        }
+        return -1;
+    }
+
+    return {
+        triggers: '<',
+        match(text, index, state) {
+            if (text[index] !== '<' || !/[A-Za-z_$>]/.test(text[index + 1] || '')) return -1;
+            if (!regexAllowed(text, index)) return -1;
+            const end = readElement(text, index, state);
+            if (end === -1 && state.unclosedAt === null) {
+                state.unclosedAt = index;
+            }
+            return end;
+        }
+    };
+}
+
+// A slash starts a regex unless it follows something that ends an expression
+function regexAllowed(text, index) {
+    const previous = previousNonSpace(text, index);
+    if (previous.char === null) return true;
+
+    if (IDENTIFIER_CHAR.test(previous.char)) {
+        let start = previous.index;
+        while (start > 0 && IDENTIFIER_CHAR.test(text[start - 1])) {
+            start--;
+        }
+        return REGEX_PRECEDING_KEYWORDS.has(text.slice(start, previous.index + 1));
+    }
+
+    // Postfix `i++ / 2` divides; prefix `++` cannot be followed by a regex anyway
+    if ((previous.char === '+' || previous.char === '-') && text[previous.index - 1] === previous.char) {
+        return regexAllowed(text, previous.index - 1);
+    }
+
+    // A brace closing a block on an earlier line ends a statement; on the same
+    // line it more likely closes an object literal
+    if (previous.char === '}') {
+        return text.slice(previous.index, index).includes('\n');
+    }
+
+    return !')]"\'`'.includes(previous.char);
+}
+
+function rustRawString() {
+    const pattern = /b?r(#*)"/y;
+    return {
+        triggers: 'br',
+        match(text, index) {
+            if (isIdentifierBefore(text, index)) return -1;
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            if (!match) return -1;
+            const close = '"' + match[1];
+            const end = text.indexOf(close, index + match[0].length);
+            return end === -1 ? text.length : end + close.length;
+        }
+    };
+}
+
+function cppRawString() {
+    const pattern = /R"([^()\\\s]{0,16})\(/y;
+    return {
+        triggers: 'R',
+        match(text, index) {
+            if (isIdentifierBefore(text, index) && !/(?:^|[^A-Za-z0-9_])(?:u8|u|U|L)$/.test(text.slice(Math.max(0, index - 3), index))) {
+                return -1;
+            }
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            if (!match) return -1;
+            const close = `)${match[1]}"`;
+            const end = text.indexOf(close, index + match[0].length);
+            return end === -1 ? text.length : end + close.length;
+        }
+    };
+}
+
+function swiftRawString() {
+    const pattern = /(#+)"/y;
+    return {
+        triggers: '#',
+        match(text, index) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            if (!match) return -1;
+            const close = '"' + match[1];
+            const end = text.indexOf(close, index + match[0].length);
+            return end === -1 ? text.length : end + close.length;
+        }
+    };
+}
+
+function luaLongString() {
+    const pattern = /\[(=*)\[/y;
+    return {
+        triggers: '[',
+        match(text, index) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            if (!match) return -1;
+            const close = `]${match[1]}]`;
+            const end = text.indexOf(close, index + match[0].length);
+            return end === -1 ? text.length : end + close.length;
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Language table
+// ---------------------------------------------------------------------------
+
+const shellCommentStart = (text, index) => index === 0 || /[\s;&|()]/.test(text[index - 1]);
+const precededBySpace = (text, index) => index === 0 || /\s/.test(text[index - 1]);
+const yamlScalarStart = (text, index) => {
+    const previous = previousNonSpace(text, index, true);
+    return previous.char === null || ':-[{,?'.includes(previous.char);
+};
+
+function cStyleComments(nested = false) {
+    return [blockComment('/*', '*/', nested), lineComment('//')];
+}
+
+const doubleQuoted = () => quoted('"', '"', { multiline: false });
+const singleQuoted = () => quoted('\'', '\'', { multiline: false });
+
+function javascriptSpec() {
+    return {
+        comments: cStyleComments(),
+        literals: [doubleQuoted(), singleQuoted(), templateLiteral(), regexLiteral()]
+    };
+}
+
+function javascriptReactSpec() {
+    const javascript = javascriptSpec();
+    return { ...javascript, literals: javascript.literals.concat(jsxElement()) };
+}
+
+function createLanguageSpecs() {
+    const javascript = javascriptSpec();
+    const javascriptReact = javascriptReactSpec();
+    const hashComment = lineComment('#');
+    const shell = {
+        comments: [lineComment('#', shellCommentStart)],
+        literals: [quoted('\'', '\'', { escape: null }), quoted('"', '"')]
+    };
+
+    return {
+        javascript,
+        javascriptreact: javascriptReact,
+        typescript: javascript,
+        typescriptreact: javascriptReact,
+        python: {
+            comments: [pythonDocstring('"""'), pythonDocstring('\'\'\''), hashComment],
+            literals: [quoted('"""'), quoted('\'\'\''), doubleQuoted(), singleQuoted()],
+            tracksBrackets: true
+        },
+        java: {
+            comments: cStyleComments(),
+            literals: [quoted('"""'), doubleQuoted(), charLiteral()]
+        },
+        c: {
+            comments: cStyleComments(),
+            literals: [doubleQuoted(), charLiteral()]
+        },
+        cpp: {
+            comments: cStyleComments(),
+            literals: [cppRawString(), doubleQuoted(), charLiteral()]
+        },
+        csharp: {
+            comments: cStyleComments(),
+            literals: [
+                quoted('"""', '"""', { escape: null }),
+                quoted('@"', '"', { escape: null, doubled: true }),
+                quoted('@$"', '"', { escape: null, doubled: true }),
+                doubleQuoted(),
+                charLiteral()
+            ]
+        },
+        html: {
+            comments: [blockComment('<!--', '-->')],
+            literals: [quoted('<![CDATA[', ']]>', { escape: null })]
+        },
+        css: {
+            comments: [blockComment('/*', '*/')],
+            literals: [doubleQuoted(), singleQuoted()]
+        },
+        scss: {
+            comments: cStyleComments(),
+            literals: [doubleQuoted(), singleQuoted()]
+        },
+        less: {
+            comments: cStyleComments(),
+            literals: [doubleQuoted(), singleQuoted()]
+        },
+        sql: {
+            comments: [blockComment('/*', '*/'), lineComment('--')],
+            literals: [
+                quoted('\'', '\'', { escape: null, doubled: true }),
+                quoted('"', '"', { escape: null, doubled: true })
+            ]
+        },
+        php: {
+            comments: [blockComment('/*', '*/'), lineComment('//'), lineComment('#', (text, index) => text[index + 1] !== '[')],
+            literals: [quoted('"'), quoted('\'')]
+        },
+        ruby: {
+            comments: [lineStartBlock('=begin', /=begin\b/y, /^=end\b/gm), hashComment],
+            literals: [quoted('"'), quoted('\'')]
+        },
+        go: {
+            comments: cStyleComments(),
+            literals: [doubleQuoted(), quoted('`', '`', { escape: null }), charLiteral()]
+        },
+        rust: {
+            comments: cStyleComments(true),
+            literals: [rustRawString(), quoted('"'), charLiteral()]
+        },
+        kotlin: {
+            comments: cStyleComments(true),
+            literals: [quoted('"""', '"""', { escape: null }), doubleQuoted(), charLiteral()]
+        },
+        swift: {
+            comments: cStyleComments(true),
+            literals: [swiftRawString(), quoted('"""'), doubleQuoted()]
+        },
+        markdown: {
+            comments: [blockComment('<!--', '-->')],
+            literals: []
+        },
+        xml: {
+            comments: [blockComment('<!--', '-->')],
+            literals: [quoted('<![CDATA[', ']]>', { escape: null })]
+        },
+        yaml: {
+            comments: [lineComment('#', precededBySpace)],
+            literals: [
+                quoted('"', '"', { when: yamlScalarStart }),
+                quoted('\'', '\'', { escape: null, doubled: true, when: yamlScalarStart })
+            ]
+        },
+        shellscript: shell,
+        shell,
+        bash: shell,
+        dockerfile: {
+            comments: [lineComment('#', isLineStart)],
+            literals: []
+        },
+        powershell: {
+            comments: [blockComment('<#', '#>'), hashComment],
+            literals: [
+                quoted('@"', '\n"@', { escape: null }),
+                quoted('@\'', '\n\'@', { escape: null }),
+                quoted('"', '"', { escape: '`' }),
+                quoted('\'', '\'', { escape: null, doubled: true })
+            ]
+        },
+        r: {
+            comments: [hashComment],
+            literals: [quoted('"'), quoted('\''), quoted('`', '`', { escape: null })]
+        },
+        lua: {
+            comments: [luaBlockComment(), lineComment('--')],
+            literals: [luaLongString(), doubleQuoted(), singleQuoted()]
+        },
+        perl: {
+            comments: [lineStartBlock('=pod', /=[a-zA-Z]/y, /^=cut\b/gm), lineComment('#', (text, index) => text[index - 1] !== '$')],
+            literals: [quoted('"'), quoted('\'')]
+        },
+        dart: {
+            comments: cStyleComments(true),
+            literals: [quoted('"""'), quoted('\'\'\''), doubleQuoted(), singleQuoted()]
+        },
+        scala: {
+            comments: cStyleComments(true),
+            literals: [quoted('"""', '"""', { escape: null }), doubleQuoted(), charLiteral()]
+        }
+    };
+}
+
+function compileSpec(spec) {
+    const triggers = new Set();
+    spec.comments.concat(spec.literals).forEach(matcher => {
+        for (const char of matcher.triggers) {
+            triggers.add(char);
+        }
+    });
+    return { ...spec, triggers };
+}
+
+const LANGUAGE_SPECS = new Map(
+    Object.entries(createLanguageSpecs()).map(([languageId, spec]) => [languageId, compileSpec(spec)])
+);
+
+// Languages described by their comment delimiters alone, in the shape of a
+// language-configuration.json `comments` entry:
+//   { lineComment: '--', blockComment: ['{-', '-}'], nestedBlockComments: true, strings: ['"'] }
+// `lineComment` may also be a list, `blockComment` a list of pairs. User
+// definitions replace the built-in lexers; definitions contributed by other
+// extensions only fill in languages without one.
+const SYNTAX_LAYERS = {
+    user: new Map(),
+    contributed: new Map()
+};
+
+function toList(value) {
+    return Array.isArray(value) ? value : value === undefined || value === null ? [] : [value];
+}
+
+// Returns { syntax, errors }: the normalized definition, or null when it
+// defines no usable delimiter
+function normalizeCommentSyntax(value) {
+    const errors = [];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { syntax: null, errors: ['expected an object with lineComment and/or blockComment'] };
+    }
+
+    const isDelimiter = delimiter => typeof delimiter === 'string' && delimiter.trim().length > 0 && !/\s/.test(delimiter);
+    const lineComments = toList(value.lineComment).filter(delimiter => {
+        if (isDelimiter(delimiter)) return true;
+        errors.push(`invalid lineComment ${JSON.stringify(delimiter)}`);
+        return false;
+    });
+
+    const pairs = Array.isArray(value.blockComment) && typeof value.blockComment[0] === 'string'
+        ? [value.blockComment]
+        : toList(value.blockComment);
+    const blockComments = pairs.filter(pair => {
+        if (Array.isArray(pair) && pair.length === 2 && pair.every(isDelimiter)) return true;
+        errors.push(`invalid blockComment ${JSON.stringify(pair)}`);
+        return false;
+    });
+
+    // A quote that also starts a comment (Vim's ") is treated as the comment
+    const commentStarts = lineComments.concat(blockComments.map(pair => pair[0]));
+    const strings = toList(value.strings === undefined ? '"' : value.strings).filter(quote => {
+        if (!isDelimiter(quote)) {
+            errors.push(`invalid string delimiter ${JSON.stringify(quote)}`);
+            return false;
+        }
+        return !commentStarts.includes(quote);
+    });
+
+    if (lineComments.length === 0 && blockComments.length === 0) {
+        errors.push('no lineComment or blockComment defined');
+        return { syntax: null, errors };
+    }
+    return {
+        syntax: { lineComments, blockComments, nested: value.nestedBlockComments === true, strings },
+        errors
+    };
+}
+
+function createSyntaxSpec(syntax) {
+    // Longer delimiters first so `--[[` wins over `--` and `{-` over `{`
+    const comments = syntax.blockComments.map(([open, close]) => blockComment(open, close, syntax.nested))
+        .concat(syntax.lineComments.map(open => lineComment(open)))
+        .sort((a, b) => b.open.length - a.open.length);
+    const literals = syntax.strings.map(quote => quoted(quote, quote, { multiline: false }));
+    return compileSpec({ comments, literals });
+}
+
+// Replaces one layer of comment syntax definitions, given as an object from
+// language id to normalized syntax
+function setLanguageSyntaxes(layer, syntaxes) {
+    const specs = SYNTAX_LAYERS[layer];
+    if (!specs) {
+        throw new Error(`Unknown language layer '${layer}'`);
+    }
+    specs.clear();
+    Object.entries(syntaxes || {}).forEach(([languageId, syntax]) => {
+        specs.set(languageId, createSyntaxSpec(syntax));
+    });
+}
+
+function getSpec(languageId) {
+    return SYNTAX_LAYERS.user.get(languageId) ||
+        LANGUAGE_SPECS.get(languageId) ||
+        SYNTAX_LAYERS.contributed.get(languageId);
+}
+
+// ---------------------------------------------------------------------------
+// Embedded languages. A host document is split into regions written in
+// other languages (script and style blocks, PHP code, fenced code) and the
+// text between them, which is lexed as the host's markup language. Region
+// finders return sorted, non-overlapping content spans; a null language
+// leaves the span unlexed.
+// ---------------------------------------------------------------------------
+
+// Language names used in fence info strings and lang/type attributes
+const LANGUAGE_ALIASES = {
+    js: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    jsx: 'javascriptreact',
+    ts: 'typescript',
+    tsx: 'typescriptreact',
+    py: 'python',
+    python3: 'python',
+    sh: 'shellscript',
+    bash: 'shellscript',
+    zsh: 'shellscript',
+    shell: 'shellscript',
+    'c++': 'cpp',
+    cxx: 'cpp',
+    hpp: 'cpp',
+    cs: 'csharp',
+    'c#': 'csharp',
+    rb: 'ruby',
+    rs: 'rust',
+    golang: 'go',
+    kt: 'kotlin',
+    kts: 'kotlin',
+    yml: 'yaml',
+    ps1: 'powershell',
+    pwsh: 'powershell',
+    pl: 'perl',
+    docker: 'dockerfile',
+    htm: 'html',
+    md: 'markdown',
+    postcss: 'css'
+};
+
+function resolveLanguageName(name) {
+    const normalized = name.toLowerCase();
+    return LANGUAGE_ALIASES[normalized] || normalized;
+}
+
+function getAttribute(attributes, name) {
+    const match = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+    return match ? (match[1] || match[2] || match[3] || '').trim() : '';
+}
+
+function getScriptLanguage(attributes) {
+    const lang = getAttribute(attributes, 'lang');
+    if (lang) {
+        return resolveLanguageName(lang);
+    }
+    const type = getAttribute(attributes, 'type').toLowerCase();
+    if (!type || /(?:java|ecma)script|babel|jsx|^module$/.test(type)) return 'javascript';
+    if (type.includes('typescript')) return 'typescript';
+    if (/html|template/.test(type)) return 'html';
+    return null; // Data blocks such as application/json
+}
+
+function getStyleLanguage(attributes) {
+    const lang = getAttribute(attributes, 'lang');
+    return lang ? resolveLanguageName(lang) : 'css';
+}
+
+// <script> and <style> contents in HTML and single-file components
+function findMarkupRegions(text) {
+    const regions = [];
+    const open = /<(script|style)\b([^>]*)>/gi;
+    let match;
+    while ((match = open.exec(text)) !== null) {
+        const attributes = match[2];
+        if (attributes.endsWith('/')) {
+            continue;
+        }
+        const tag = match[1].toLowerCase();
+        const start = match.index + match[0].length;
+        const close = new RegExp(`</${tag}\\s*>`, 'gi');
+        close.lastIndex = start;
+        const closing = close.exec(text);
+        const end = closing ? closing.index : text.length;
+
+        regions.push({ start, end, languageId: tag === 'script' ? getScriptLanguage(attributes) : getStyleLanguage(attributes) });
+        open.lastIndex = closing ? closing.index + closing[0].length : text.length;
+    }
+    return regions;
+}
+
+// <?php ... ?> and <?= ... ?> blocks; a file that never leaves PHP mode is one
+// region running to the end
+function findPhpRegions(text) {
+    const regions = [];
+    const open = /<\?(?:php\b|=)?/gi;
+    let match;
+    while ((match = open.exec(text)) !== null) {
+        const start = match.index + match[0].length;
+        const closing = text.indexOf('?>', start);
+        const end = closing === -1 ? text.length : closing;
+        regions.push({ start, end, languageId: 'php' });
+        open.lastIndex = closing === -1 ? text.length : closing + 2;
+    }
+    return regions;
+}
+
+// Fenced code blocks whose info string names a language
+function findFencedRegions(text) {
+    const regions = [];
+    const fence = /^ {0,3}(`{3,}|~{3,})[ \t]*\{?\.?([^\s`{}]*)[^\n]*$/gm;
+    let match;
+    while ((match = fence.exec(text)) !== null) {
+        const marker = match[1];
+        const start = Math.min(text.length, match.index + match[0].length + 1);
+        const close = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`, 'gm');
+        close.lastIndex = start;
+        const closing = close.exec(text);
+        const end = closing ? closing.index : text.length;
+
+        regions.push({ start, end, languageId: match[2] ? resolveLanguageName(match[2]) : null });
+        fence.lastIndex = closing ? closing.index + closing[0].length : text.length;
+    }
+    return regions;
+}
+
+const EMBEDDINGS = {
+    html: { host: 'html', findRegions: findMarkupRegions },
+    vue: { host: 'html', findRegions: findMarkupRegions },
+    svelte: { host: 'html', findRegions: findMarkupRegions },
+    php: { host: 'html', findRegions: findPhpRegions },
+    markdown: { host: 'markdown', findRegions: findFencedRegions }
+};
+
+// A user-defined syntax for a host language switches its embedding off
+function getEmbedding(languageId) {
+    return SYNTAX_LAYERS.user.has(languageId) ? null : EMBEDDINGS[languageId] || null;
+}
+
+// Splits a host document into spans covering all of it, each with the
+// language it is lexed as
+function getLanguageSpans(text, embedding) {
+    const spans = [];
+    let position = 0;
+    embedding.findRegions(text).forEach(region => {
+        if (region.start > position) {
+            spans.push({ start: position, end: region.start, languageId: embedding.host });
+        }
+        spans.push(region);
+        position = region.end;
+    });
+    if (position < text.length) {
+        spans.push({ start: position, end: text.length, languageId: embedding.host });
+    }
+    return spans;
+}
+
+function lexEmbedded(text, languageId, embedding) {
+    const comments = [];
+    const tokens = [];
+    const shift = (item, offset) => ({ ...item, start: item.start + offset, end: item.end + offset });
+
+    getLanguageSpans(text, embedding).forEach(span => {
+        if (!span.languageId) {
+            return;
+        }
+        // The host's own language is lexed plainly so its regions are not searched again
+        const lexed = span.languageId === languageId
+            ? lexPlain(text.slice(span.start, span.end), span.languageId)
+            : lexDocument(text.slice(span.start, span.end), span.languageId);
+        if (lexed) {
+            lexed.comments.forEach(comment => comments.push(shift(comment, span.start)));
+            lexed.tokens.forEach(token => tokens.push(shift(token, span.start)));
+        }
+    });
+
+    return { languageId, length: text.length, comments, tokens, embedded: true };
+}
+
+// Language in effect at an offset, following embedded regions down
+function getLanguageAt(text, languageId, offset) {
+    const embedding = getEmbedding(languageId);
+    if (!embedding || typeof text !== 'string') {
+        return languageId;
+    }
+    const span = getLanguageSpans(text, embedding)
+        .find(candidate => offset >= candidate.start && offset <= candidate.end);
+    if (!span || !span.languageId || span.languageId === languageId) {
+        return span && span.languageId ? span.languageId : languageId;
+    }
+    return getLanguageAt(text.slice(span.start, span.end), span.languageId, offset - span.start);
+}
+
+// ---------------------------------------------------------------------------
+// Scanner
+// ---------------------------------------------------------------------------
+
+function findComments(text, languageId) {
+    const result = lexDocument(text, languageId);
+    return result ? result.comments : null;
+}
+
+// Lexes a whole document. Besides the comments, the result records the
+// top-level token spans (comments and literals) so relexDocument can later
+// restart from a known code position.
+function lexDocument(text, languageId) {
+    const embedding = getEmbedding(languageId);
+    if (embedding && typeof text === 'string') {
+        return lexEmbedded(text, languageId, embedding);
+    }
+    return lexPlain(text, languageId);
+}
+
+function lexPlain(text, languageId) {
+    const spec = getSpec(languageId);
+    if (!spec || typeof text !== 'string') {
+        return null;
+    }
+
+    const out = { comments: [], tokens: [] };
+    const state = createState(text, spec, out);
+    scanCode(text, 0, spec, out, state, false);
+
+    return { languageId, length: text.length, comments: out.comments, tokens: out.tokens, unclosedAt: state.unclosedAt };
+}
+
+// Re-lexes only the region affected by an edit. `change` describes the edit
+// in offsets: `start` and `oldEnd` in the previous text, `newEnd` in the new
+// one. Lexing restarts at the beginning of the edited line (or the token
+// covering it) and stops at the first later line start where the new and old
+// lexer states agree; everything after that is reused, shifted by the delta.
+function relexDocument(previous, text, change) {
+    const spec = previous && getSpec(previous.languageId);
+    if (!spec || spec.tracksBrackets || previous.embedded || !change) {
+        return lexDocument(text, previous ? previous.languageId : null);
+    }
+
+    const delta = change.newEnd - change.oldEnd;
+
+    // An edit after an unclosed JSX element may close it
+    if (typeof previous.unclosedAt === 'number' && previous.unclosedAt < change.start) {
+        return lexDocument(text, previous.languageId);
+    }
+
+    let restart = change.start > 0 ? text.lastIndexOf('\n', change.start - 1) + 1 : 0;
+    const covering = findTokenContaining(previous.tokens, restart);
+    if (covering) {
+        restart = covering.start;
+    }
+
+    // An unterminated literal or comment runs to the end of the old text and
+    // would have continued into anything appended after it
+    const last = previous.tokens[previous.tokens.length - 1];
+    if (last && last.end >= previous.length && last.start < restart) {
+        restart = last.start;
+    }
+
+    // Matchers look back at the previous non-blank character (regex literals,
+    // identifier prefixes), so a resync point needs one whole non-blank
+    // unchanged line before it.
+    const out = { comments: [], tokens: [] };
+    const state = createState(text, spec, out);
+    state.onLineStart = position => {
+        const previousLineStart = text.lastIndexOf('\n', position - 2) + 1;
+        if (previousLineStart < change.newEnd || !/\S/.test(text.slice(previousLineStart, position - 1))) {
+            return false;
+        }
+        const oldPosition = position - delta;
+        return oldPosition >= change.oldEnd && !findTokenContaining(previous.tokens, oldPosition);
+    };
+    scanCode(text, restart, spec, out, state, false);
+
+    const tokens = previous.tokens.slice(0, countEndingBefore(previous.tokens, restart)).concat(out.tokens);
+    const comments = previous.comments.slice(0, countEndingBefore(previous.comments, restart)).concat(out.comments);
+
+    let unclosedAt = state.unclosedAt;
+    if (state.stoppedAt !== null) {
+        const oldStop = state.stoppedAt - delta;
+        const shift = item => ({ ...item, start: item.start + delta, end: item.end + delta });
+        previous.tokens.slice(countStartingBefore(previous.tokens, oldStop)).forEach(token => tokens.push(shift(token)));
+        previous.comments.slice(countStartingBefore(previous.comments, oldStop)).forEach(comment => comments.push(shift(comment)));
+        if (unclosedAt === null && typeof previous.unclosedAt === 'number' && previous.unclosedAt >= oldStop) {
+            unclosedAt = previous.unclosedAt + delta;
+        }
+    }
+
+    return { languageId: previous.languageId, length: text.length, comments, tokens, unclosedAt };
+}
+
+function createState(text, spec, out) {
+    const state = {
+        brackets: 0,
+        stoppedAt: null,
+        unclosedAt: null,
+        onLineStart: null,
+        scanCode: (start, stopAtBrace) => scanCode(text, start, spec, out, state, stopAtBrace)
+    };
+    return state;
+}
+
+// Token spans are sorted and never overlap, so a binary search finds the one
+// strictly containing an offset.
+function findTokenContaining(tokens, offset) {
+    let low = 0;
+    let high = tokens.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const token = tokens[mid];
+        if (offset <= token.start) {
+            high = mid - 1;
+        } else if (offset >= token.end) {
+            low = mid + 1;
+        } else {
+            return token;
+        }
+    }
+    return null;
+}
+
+// Items never overlap, so their end offsets are sorted as well
+function countEndingBefore(items, offset) {
+    let low = 0;
+    let high = items.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (items[mid].end <= offset) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+function countStartingBefore(items, offset) {
+    let low = 0;
+    let high = items.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (items[mid].start < offset) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+function scanCode(text, start, spec, out, state, stopAtBrace) {
+    let braces = 0;
+    let i = start;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (spec.triggers.has(char)) {
+            const next = matchToken(text, i, spec, out, state);
+            if (next > i) {
+                if (!stopAtBrace) {
+                    out.tokens.push({ start: i, end: next });
+                }
+                i = next;
+                continue;
+            }
+        }
+
+        if (stopAtBrace) {
+            if (char === '{') {
+                braces++;
+            } else if (char === '}') {
+                if (braces === 0) return i;
+                braces--;
+            }
+        }
+
+        if (spec.tracksBrackets) {
+            if (char === '(' || char === '[' || char === '{') {
+                state.brackets++;
+            } else if ((char === ')' || char === ']' || char === '}') && state.brackets > 0) {
+                state.brackets--;
+            }
+        }
+
+        i++;
+
+        if (char === '\n' && !stopAtBrace && state.onLineStart && state.onLineStart(i)) {
+            state.stoppedAt = i;
+            return i;
+        }
+    }
+
+    return text.length;
+}
+
+function matchToken(text, index, spec, out, state) {
+    for (const matcher of spec.comments) {
+        if (!matcher.triggers.includes(text[index])) continue;
+        const end = matcher.match(text, index, state);
+        if (end > index) {
+            out.comments.push({ start: index, end, type: matcher.type, open: matcher.open });
+            return end;
+        }
+    }
+
+    for (const matcher of spec.literals) {
+        if (!matcher.triggers.includes(text[index])) continue;
+        const end = matcher.match(text, index, state);
+        if (end > index) {
+            return end;
+        }
+    }
+
+    return -1;
+}
+
+// Delimiters for writing a new comment: the first line comment and the first
+// plain block comment of the language, or null where there is none
+function getCommentSyntax(languageId) {
+    const spec = getSpec(languageId);
+    if (!spec) {
+        return null;
+    }
+    const line = spec.comments.find(matcher => matcher.type === 'line');
+    const block = spec.comments.find(matcher => matcher.type === 'block' && matcher.close);
+    return {
+        line: line ? line.open : null,
+        block: block ? [block.open, block.close] : null
+    };
+}
+
+function isLanguageSupported(languageId) {
+    return getSpec(languageId) !== undefined || getEmbedding(languageId) !== null;
+}
+
+module.exports = {
+    findComments,
+    lexDocument,
+    relexDocument,
+    getCommentSyntax,
+    getLanguageAt,
+    normalizeCommentSyntax,
+    setLanguageSyntaxes,
+    isLanguageSupported
+};
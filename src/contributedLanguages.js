@@ -0,0 +1,103 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { logError, logInfo } = require('./logger');
+const { parseJsonc } = require('./jsonc');
+const { setLanguageSyntaxes } = require('./commentLexer');
+const { setFileLanguages } = require('./fileLanguages');
+const { compileLanguageDefinitions } = require('./tagEngine');
+
+// Quotes that language-configuration.json auto-closes outside strings are
+// taken as the language's string delimiters
+function getStringDelimiters(configuration) {
+    const pairs = Array.isArray(configuration.autoClosingPairs) ? configuration.autoClosingPairs : [];
+    const strings = [];
+    pairs.forEach(pair => {
+        const open = Array.isArray(pair) ? pair[0] : pair && pair.open;
+        const close = Array.isArray(pair) ? pair[1] : pair && pair.close;
+        const notIn = pair && Array.isArray(pair.notIn) ? pair.notIn : [];
+        if (open === close && /^["'`]$/.test(open) && notIn.includes('string') && !strings.includes(open)) {
+            strings.push(open);
+        }
+    });
+    return strings;
+}
+
+async function readLanguageConfiguration(extension, language) {
+    try {
+        const text = await fs.promises.readFile(path.join(extension.extensionPath, language.configuration), 'utf8');
+        const configuration = parseJsonc(text);
+        const comments = configuration && configuration.comments;
+        if (!comments || typeof comments !== 'object') {
+            return null;
+        }
+
+        // Newer configurations write lineComment as { comment, noIndent }
+        const lineComment = comments.lineComment && typeof comments.lineComment === 'object'
+            ? comments.lineComment.comment
+            : comments.lineComment;
+        return { lineComment, blockComment: comments.blockComment, strings: getStringDelimiters(configuration) };
+    } catch (error) {
+        logError(`Could not read language configuration of ${language.id} from ${extension.id}`, error);
+        return null;
+    }
+}
+
+// Comment delimiters and file associations of every language contributed by
+// an installed extension, used for languages without a built-in lexer
+async function loadContributedLanguages() {
+    const definitions = {};
+    const reads = [];
+
+    vscode.extensions.all.forEach(extension => {
+        const contributes = extension.packageJSON && extension.packageJSON.contributes;
+        const languages = contributes && Array.isArray(contributes.languages) ? contributes.languages : [];
+        languages.forEach(language => {
+            if (!language || typeof language.id !== 'string') {
+                return;
+            }
+            const definition = definitions[language.id] || (definitions[language.id] = { extensions: [], filenames: [] });
+            if (Array.isArray(language.extensions)) {
+                definition.extensions.push(...language.extensions);
+            }
+            if (Array.isArray(language.filenames)) {
+                definition.filenames.push(...language.filenames);
+            }
+            if (typeof language.configuration === 'string') {
+                reads.push(readLanguageConfiguration(extension, language).then(syntax => {
+                    // The first contribution with comments wins
+                    if (syntax && definition.lineComment === undefined && definition.blockComment === undefined) {
+                        Object.assign(definition, syntax);
+                    }
+                }));
+            }
+        });
+    });
+    await Promise.all(reads);
+
+    // Languages without comment delimiters are dropped here without complaint
+    const { syntaxes, associations } = compileLanguageDefinitions(definitions);
+    setLanguageSyntaxes('contributed', syntaxes);
+    setFileLanguages('contributed', associations);
+    logInfo(`Loaded comment syntax for ${Object.keys(syntaxes).length} contributed languages`);
+}
+
+// Loads contributed languages now and whenever extensions are installed or
+// removed; onChange runs after each load
+function registerContributedLanguages(context, onChange) {
+    const load = () => loadContributedLanguages()
+        .then(onChange)
+        .catch(error => logError('Error loading contributed languages', error));
+
+    try {
+        context.subscriptions.push(vscode.extensions.onDidChange(load));
+    } catch (error) {
+        logError('Failed to watch installed extensions', error);
+    }
+    return load();
+}
+
+module.exports = {
+    loadContributedLanguages,
+    registerContributedLanguages
+};
@@ -0,0 +1,194 @@
+// Tags inside documentation comments, without the editor API:
+//   @param {string} name   JSDoc, PHPDoc and Javadoc block and {@link} inline tags
+//   :param name:           field lists in Python docstrings
+//   # Safety               section headings in rustdoc /// and //! comments
+// A tag and its argument (the parameter name, the exception type, the
+// version, ...) are styled separately. Styles are keyed by the tag as written,
+// with its sigil: '@param', ':raises', '# Safety'; '*' styles all other tags.
+
+const { isDocComment, isFirstWord } = require('./tagPosition');
+const { validateKeywordStyle } = require('./keywordStyles');
+
+// What follows a tag, by tag name without its sigil
+const ARGUMENT_KINDS = {
+    name: ['param', 'arg', 'argument', 'property', 'prop', 'var', 'ivar', 'cvar', 'key', 'keyword', 'parameter', 'template', 'typedef', 'callback'],
+    type: ['throws', 'throw', 'exception', 'raises', 'raise', 'except', 'extends', 'augments', 'implements'],
+    word: ['since', 'version', 'see', 'link', 'linkcode', 'linkplain', 'memberof', 'module', 'namespace', 'fires', 'event', 'requires']
+};
+
+const PARAMETER = { tag: { color: '#C586C0' }, argument: { color: '#4FC1FF', fontStyle: 'italic' } };
+const RETURN = { tag: { color: '#C586C0' } };
+const ERROR = { tag: { color: '#F48771' }, argument: { color: '#F48771', fontStyle: 'italic' } };
+const HIDDEN = { tag: { color: '#808080', fontStyle: 'italic' } };
+const VERSION = { tag: { color: '#4EC9B0' }, argument: { color: '#4EC9B0' } };
+const REFERENCE = { tag: { color: '#C586C0' }, argument: { textDecoration: 'underline' } };
+
+// Defaults covering JSDoc, PHPDoc, Javadoc, Sphinx docstrings and rustdoc
+const DEFAULT_DOC_TAG_STYLES = {
+    '*': { tag: { color: '#C586C0' } },
+    ...Object.fromEntries(['@param', '@arg', '@argument', '@property', '@prop', '@var', '@template', '@typedef', '@callback',
+        ':param', ':parameter', ':arg', ':argument', ':key', ':keyword', ':var', ':ivar', ':cvar'].map(tag => [tag, PARAMETER])),
+    ...Object.fromEntries(['@returns', '@return', '@yields', ':returns', ':return', ':rtype', ':yields'].map(tag => [tag, RETURN])),
+    ...Object.fromEntries(['@throws', '@throw', '@exception', ':raises', ':raise', ':except', ':exception'].map(tag => [tag, ERROR])),
+    ...Object.fromEntries(['@internal', '@private', '@hidden', '@ignore'].map(tag => [tag, HIDDEN])),
+    ...Object.fromEntries(['@since', '@version'].map(tag => [tag, VERSION])),
+    ...Object.fromEntries(['@see', '@link', '@linkcode', '@linkplain', '@uses'].map(tag => [tag, REFERENCE])),
+    '@deprecated': { tag: { color: '#808080', textDecoration: 'line-through' } },
+    '@example': { tag: { color: '#DCDCAA' } },
+    '# Safety': { tag: { color: '#F44747', fontWeight: 'bold' } },
+    '# Panics': { tag: { color: '#CE9178', fontWeight: 'bold' } },
+    '# Errors': { tag: { color: '#CE9178', fontWeight: 'bold' } },
+    '# Examples': { tag: { color: '#DCDCAA', fontWeight: 'bold' } }
+};
+
+const DOC_TAG_PARTS = ['tag', 'argument'];
+
+// Block tags start a comment line, inline tags follow `{`. Mentions and
+// email addresses in the text do not qualify.
+const AT_TAG = /@([A-Za-z][\w-]*)/g;
+// Field lists start a line; roles such as :class:`Foo` are not fields, even there
+const FIELD_TAG = /^([ \t]*):([a-z]+)((?:[ \t]+[^\s:]+)*)[ \t]*:(?!`)/gm;
+const RUSTDOC_HEADING = /^\/\/[/!][ \t]*(#{1,6})[ \t]+([A-Z]\w*)[ \t]*$/;
+
+function getArgumentKind(name) {
+    const lower = name.toLowerCase();
+    return Object.keys(ARGUMENT_KINDS).find(kind => ARGUMENT_KINDS[kind].includes(lower)) || null;
+}
+
+// Offsets of the argument after a tag ending at index, or null. JSDoc types
+// in braces are skipped for names; PHPDoc writes `@param string $name`.
+function findArgument(text, index, kind) {
+    const lineEnd = text.indexOf('\n', index);
+    const rest = text.slice(index, lineEnd === -1 ? text.length : lineEnd);
+    const typed = /^[ \t]+(\{[^}\n]*\})/.exec(rest);
+
+    if (kind === 'type' && typed) {
+        const start = index + typed[0].length - typed[1].length + 1;
+        return typed[1].length > 2 ? { start, end: start + typed[1].length - 2 } : null;
+    }
+
+    const offset = typed ? typed[0].length : 0;
+    const tokenPattern = /[ \t]+([^\s}]+)/y;
+    const tokens = [];
+    tokenPattern.lastIndex = offset;
+    for (let token; tokens.length < 2 && (token = tokenPattern.exec(rest)) !== null;) {
+        tokens.push({ text: token[1], start: index + token.index + token[0].length - token[1].length });
+    }
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const token = kind === 'name' && tokens[1] && tokens[1].text.startsWith('$') ? tokens[1] : tokens[0];
+    if (kind !== 'name') {
+        return { start: token.start, end: token.start + token.text.length };
+    }
+    // `[name=default]` marks an optional JSDoc parameter
+    const name = /^\[?([$\w.]+)/.exec(token.text);
+    if (!name) {
+        return null;
+    }
+    const start = token.start + name[0].length - name[1].length;
+    return { start, end: start + name[1].length };
+}
+
+// Doc tags of one comment as { name, start, end, argument }, with offsets
+// relative to the comment text. Comments that are not doc comments have none.
+function findDocTags(commentText, open = '') {
+    if (!isDocComment(commentText)) {
+        return [];
+    }
+    const tags = [];
+
+    const heading = RUSTDOC_HEADING.exec(commentText);
+    if (heading) {
+        const start = commentText.indexOf(heading[1], 3);
+        tags.push({ name: `# ${heading[2]}`, start, end: commentText.trimEnd().length, argument: null });
+        return tags;
+    }
+
+    AT_TAG.lastIndex = 0;
+    for (let match; (match = AT_TAG.exec(commentText)) !== null;) {
+        if (commentText[match.index - 1] !== '{' && !isFirstWord(commentText, match.index, open)) {
+            continue;
+        }
+        const end = match.index + match[0].length;
+        const kind = getArgumentKind(match[1]);
+        tags.push({ name: `@${match[1]}`, start: match.index, end, argument: kind ? findArgument(commentText, end, kind) : null });
+    }
+
+    // Sphinx fields: `:param name:`, `:param str name:`, `:raises ValueError:`
+    if (/^(?:"""|''')/.test(commentText)) {
+        FIELD_TAG.lastIndex = 0;
+        for (let match; (match = FIELD_TAG.exec(commentText)) !== null;) {
+            const start = match.index + match[1].length;
+            const tag = { name: `:${match[2]}`, start, end: start + match[2].length + 1, argument: null };
+            const words = match[3].trim().split(/[ \t]+/).filter(Boolean);
+            if (words.length > 0 && getArgumentKind(match[2])) {
+                const last = words[words.length - 1];
+                const argumentStart = tag.end + match[3].lastIndexOf(last);
+                tag.argument = { start: argumentStart, end: argumentStart + last.length };
+            }
+            tags.push(tag);
+        }
+        tags.sort((a, b) => a.start - b.start);
+    }
+    return tags;
+}
+
+// Built-in styles with the `docTags.styles` setting merged per tag and part;
+// null turns a tag or part off. Invalid styles are reported and skipped.
+function compileDocTagStyles(configured, onError = () => {}) {
+    const styles = {};
+    Object.entries(DEFAULT_DOC_TAG_STYLES).forEach(([name, parts]) => {
+        styles[name] = { ...parts };
+    });
+    if (configured === undefined || configured === null) {
+        return styles;
+    }
+    if (typeof configured !== 'object' || Array.isArray(configured)) {
+        onError('docTags.styles must map doc tags to { tag, argument } styles');
+        return styles;
+    }
+
+    Object.entries(configured).forEach(([name, parts]) => {
+        if (parts === null) {
+            delete styles[name];
+            return;
+        }
+        if (typeof parts !== 'object' || Array.isArray(parts)) {
+            onError(`Invalid style for doc tag '${name}': expected { tag, argument }`);
+            return;
+        }
+        const merged = { ...(styles[name] || {}) };
+        Object.entries(parts).forEach(([part, style]) => {
+            if (!DOC_TAG_PARTS.includes(part)) {
+                onError(`Invalid style for doc tag '${name}': unknown part '${part}' (expected tag or argument)`);
+                return;
+            }
+            if (style === null) {
+                delete merged[part];
+                return;
+            }
+            const styleError = validateKeywordStyle(style);
+            if (styleError) {
+                onError(`Invalid ${part} style for doc tag '${name}': ${styleError}`);
+                return;
+            }
+            merged[part] = style;
+        });
+        styles[name] = merged;
+    });
+    return styles;
+}
+
+// The styles entry a tag takes: its own, or '*' for tags without one
+function getDocTagStyleName(styles, name) {
+    return Object.prototype.hasOwnProperty.call(styles, name) ? name : '*';
+}
+
+module.exports = {
+    DEFAULT_DOC_TAG_STYLES,
+    compileDocTagStyles,
+    findDocTags,
+    getDocTagStyleName
+};
@@ -0,0 +1,114 @@
+const path = require('path');
+
+// Maps file names and extensions to VS Code language ids for files that are
+// scanned without being opened in an editor.
+const EXTENSION_LANGUAGES = {
+    '.js': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.jsx': 'javascript',
+    '.ts': 'typescript',
+    '.mts': 'typescript',
+    '.cts': 'typescript',
+    '.tsx': 'typescript',
+    '.py': 'python',
+    '.pyw': 'python',
+    '.java': 'java',
+    '.c': 'c',
+    '.h': 'c',
+    '.cpp': 'cpp',
+    '.cc': 'cpp',
+    '.cxx': 'cpp',
+    '.hpp': 'cpp',
+    '.hh': 'cpp',
+    '.hxx': 'cpp',
+    '.cs': 'csharp',
+    '.html': 'html',
+    '.htm': 'html',
+    '.css': 'css',
+    '.scss': 'scss',
+    '.less': 'less',
+    '.vue': 'vue',
+    '.svelte': 'svelte',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.sql': 'sql',
+    '.php': 'php',
+    '.phtml': 'php',
+    '.rb': 'ruby',
+    '.go': 'go',
+    '.rs': 'rust',
+    '.kt': 'kotlin',
+    '.kts': 'kotlin',
+    '.swift': 'swift',
+    '.xml': 'xml',
+    '.svg': 'xml',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.sh': 'shellscript',
+    '.bash': 'shellscript',
+    '.zsh': 'shellscript',
+    '.ps1': 'powershell',
+    '.psm1': 'powershell',
+    '.r': 'r',
+    '.lua': 'lua',
+    '.pl': 'perl',
+    '.pm': 'perl',
+    '.dart': 'dart',
+    '.scala': 'scala',
+    '.sc': 'scala'
+};
+
+const FILENAME_LANGUAGES = {
+    'dockerfile': 'dockerfile',
+    'containerfile': 'dockerfile'
+};
+
+// Associations from the `commentWizard.languages` setting take precedence over
+// the tables above; those contributed by other extensions only fill gaps.
+const ASSOCIATION_LAYERS = {
+    user: { extensions: new Map(), filenames: new Map() },
+    contributed: { extensions: new Map(), filenames: new Map() }
+};
+
+// Replaces one layer of associations. `associations` maps a language id to
+// { extensions: ['.toml'], filenames: ['Justfile'] }.
+function setFileLanguages(layer, associations) {
+    const target = ASSOCIATION_LAYERS[layer];
+    if (!target) {
+        throw new Error(`Unknown language layer '${layer}'`);
+    }
+    target.extensions.clear();
+    target.filenames.clear();
+    Object.entries(associations || {}).forEach(([languageId, { extensions = [], filenames = [] }]) => {
+        extensions.forEach(extension => {
+            const normalized = extension.toLowerCase().replace(/^\*?\.?/, '.');
+            if (!target.extensions.has(normalized)) {
+                target.extensions.set(normalized, languageId);
+            }
+        });
+        filenames.forEach(filename => {
+            if (!target.filenames.has(filename.toLowerCase())) {
+                target.filenames.set(filename.toLowerCase(), languageId);
+            }
+        });
+    });
+}
+
+function getLanguageIdForFile(filePath) {
+    const baseName = path.basename(filePath).toLowerCase();
+    const extension = path.extname(baseName);
+    const { user, contributed } = ASSOCIATION_LAYERS;
+    return user.filenames.get(baseName) ||
+        user.extensions.get(extension) ||
+        FILENAME_LANGUAGES[baseName] ||
+        EXTENSION_LANGUAGES[extension] ||
+        contributed.filenames.get(baseName) ||
+        contributed.extensions.get(extension) ||
+        null;
+}
+
+module.exports = {
+    setFileLanguages,
+    getLanguageIdForFile
+};
@@ -0,0 +1,204 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const GIT_TIMEOUT = 30000;
+const MAX_BUFFER = 64 * 1024 * 1024;
+const UNCOMMITTED = '0000000000000000000000000000000000000000';
+const HEAD_TTL = 5000;
+const MAX_CACHED_FILES = 200;
+
+function runGit(args, cwd, input) {
+    return new Promise((resolve, reject) => {
+        const child = execFile('git', args, { cwd, timeout: GIT_TIMEOUT, maxBuffer: MAX_BUFFER, windowsHide: true }, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+        if (input !== undefined) {
+            child.stdin.on('error', () => {}); // git exits early for untracked files
+            child.stdin.end(input);
+        }
+    });
+}
+
+// Parses `git blame --line-porcelain` into one entry per final line number
+// (1-based). Every line repeats its commit headers in this format.
+function parseBlamePorcelain(output) {
+    const lines = new Map();
+    let current = null;
+
+    output.split('\n').forEach(line => {
+        if (line.startsWith('\t')) {
+            if (current) {
+                lines.set(current.line, current);
+            }
+            current = null;
+            return;
+        }
+
+        const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(line);
+        if (header) {
+            current = { commit: header[1], line: Number(header[2]), author: '', email: '', date: null, summary: '' };
+            return;
+        }
+        if (!current) {
+            return;
+        }
+
+        const space = line.indexOf(' ');
+        const key = space === -1 ? line : line.slice(0, space);
+        const value = space === -1 ? '' : line.slice(space + 1);
+        switch (key) {
+            case 'author':
+                current.author = value;
+                break;
+            case 'author-mail':
+                current.email = value.replace(/^<|>$/g, '');
+                break;
+            case 'author-time':
+                current.date = new Date(Number(value) * 1000);
+                break;
+            case 'summary':
+                current.summary = value;
+                break;
+            default:
+                break;
+        }
+    });
+
+    lines.forEach(entry => {
+        entry.uncommitted = entry.commit === UNCOMMITTED;
+    });
+    return lines;
+}
+
+// Whole days between a commit date and today
+function getAgeDays(date, today = new Date()) {
+    return date ? Math.max(0, Math.floor((today - date) / 86400000)) : 0;
+}
+
+function formatAge(date, today = new Date()) {
+    const days = getAgeDays(date, today);
+    const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    if (days < 1) return 'today';
+    if (days < 30) return plural(days, 'day');
+    if (days < 365) return plural(Math.floor(days / 30), 'month');
+    return plural(Math.floor(days / 365), 'year');
+}
+
+// user.name and user.email as git resolves them for the directory, with empty
+// strings when git or the setting is missing
+async function getGitUser(directory) {
+    const read = key => runGit(['config', '--get', key], directory).then(output => output.trim()).catch(() => '');
+    const [name, email] = await Promise.all([read('user.name'), read('user.email')]);
+    return { name, email };
+}
+
+// Blame per file, reused until the file or the repository HEAD changes.
+// Saved files are keyed by modification time; unsaved contents are blamed
+// through --contents and keyed by a hash. Folders outside git, untracked files
+// and a missing git binary all yield null, as does every file while isAllowed
+// returns false: repository config such as core.fsmonitor can run commands.
+class BlameCache {
+    constructor(onError = () => {}, isAllowed = () => true) {
+        this.onError = onError;
+        this.isAllowed = isAllowed;
+        this.roots = new Map();
+        this.heads = new Map();
+        this.files = new Map();
+        this.gitMissing = false;
+    }
+
+    getRepositoryRoot(directory) {
+        if (!this.roots.has(directory)) {
+            this.roots.set(directory, runGit(['rev-parse', '--show-toplevel'], directory)
+                .then(output => output.trim() || null)
+                .catch(error => {
+                    if (error.code === 'ENOENT' && !this.gitMissing) {
+                        this.gitMissing = true;
+                        this.onError('git was not found; blame information is unavailable', error);
+                    }
+                    return null;
+                }));
+        }
+        return this.roots.get(directory);
+    }
+
+    async getHead(root) {
+        const cached = this.heads.get(root);
+        if (cached && Date.now() - cached.time < HEAD_TTL) {
+            return cached.head;
+        }
+        // A repository without commits has no HEAD yet
+        const head = await runGit(['rev-parse', 'HEAD'], root).then(output => output.trim()).catch(() => 'none');
+        this.heads.set(root, { head, time: Date.now() });
+        return head;
+    }
+
+    async getBlame(filePath, contents) {
+        try {
+            if (this.gitMissing || !this.isAllowed()) {
+                return null;
+            }
+            const directory = path.dirname(filePath);
+            const root = await this.getRepositoryRoot(directory);
+            if (!root) {
+                return null;
+            }
+
+            const head = await this.getHead(root);
+            const version = contents !== undefined
+                ? crypto.createHash('sha1').update(contents).digest('hex')
+                : await fs.promises.stat(filePath).then(stat => `${stat.mtimeMs}:${stat.size}`);
+            const key = `${head}:${version}`;
+
+            const cached = this.files.get(filePath);
+            if (cached && cached.key === key) {
+                return cached.blame;
+            }
+
+            const args = ['blame', '--line-porcelain'];
+            if (contents !== undefined) {
+                args.push('--contents', '-');
+            }
+            args.push('--', path.basename(filePath));
+            const blame = runGit(args, directory, contents)
+                .then(parseBlamePorcelain)
+                .catch(() => null);
+
+            // Oldest entries go first once the cache is full
+            this.files.delete(filePath);
+            this.files.set(filePath, { key, blame });
+            if (this.files.size > MAX_CACHED_FILES) {
+                this.files.delete(this.files.keys().next().value);
+            }
+            return blame;
+        } catch (error) {
+            this.onError(`Error running git blame for ${filePath}`, error);
+            return null;
+        }
+    }
+
+    delete(filePath) {
+        this.files.delete(filePath);
+    }
+
+    clear() {
+        this.roots.clear();
+        this.heads.clear();
+        this.files.clear();
+    }
+}
+
+module.exports = {
+    runGit,
+    parseBlamePorcelain,
+    getAgeDays,
+    formatAge,
+    getGitUser,
+    BlameCache
+};
@@ -0,0 +1,144 @@
+// Minimal .gitignore matcher used when scanning the workspace for tags.
+// Supports comments, negation, directory-only rules, anchored rules and
+// the *, ** and ? wildcards. Paths are always '/'-separated and relative
+// to the directory holding the .gitignore file.
+
+function globToRegExpSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // '**/' matches zero or more directories, trailing '**' matches everything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                let set = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+                if (set.startsWith('!')) {
+                    set = '^' + set.slice(1);
+                }
+                source += `[${set}]`;
+                i = close;
+            }
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += '\\' + glob[++i];
+        } else {
+            source += char.replace(/[.+^${}()|\]\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+function parseGitignore(content) {
+    const rules = [];
+    const lines = String(content).split(/\r?\n/);
+
+    for (let rawLine of lines) {
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.slice(1);
+        }
+
+        let directoryOnly = false;
+        if (line.endsWith('/')) {
+            directoryOnly = true;
+            line = line.slice(0, -1);
+        }
+
+        // A slash anywhere but the end anchors the rule to the .gitignore directory
+        const anchored = line.includes('/');
+        if (line.startsWith('/')) {
+            line = line.slice(1);
+        }
+        if (!line) {
+            continue;
+        }
+
+        const prefix = anchored ? '^' : '^(?:.*/)?';
+        rules.push({
+            negate,
+            directoryOnly,
+            anchored,
+            pattern: line,
+            regex: new RegExp(`${prefix}${globToRegExpSource(line)}$`)
+        });
+    }
+
+    return rules;
+}
+
+// Returns true/false when a rule decides the path, undefined otherwise
+function matchRules(rules, relativePath, isDirectory) {
+    let result;
+    for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) {
+            continue;
+        }
+        if (rule.regex.test(relativePath)) {
+            result = !rule.negate;
+        }
+    }
+    return result;
+}
+
+// Git cannot re-include a file when one of its parent directories is
+// excluded, so every ancestor directory is checked first.
+function isIgnored(rules, relativePath) {
+    if (!rules || rules.length === 0) {
+        return false;
+    }
+
+    const segments = relativePath.split('/').filter(Boolean);
+    for (let i = 1; i < segments.length; i++) {
+        if (matchRules(rules, segments.slice(0, i).join('/'), true)) {
+            return true;
+        }
+    }
+
+    return matchRules(rules, segments.join('/'), false) === true;
+}
+
+// Glob patterns, relative to the .gitignore directory, for findFiles to skip
+// up front. Negations can re-include files, so a file with any gets none,
+// and rules that would read differently as a glob ({, } and commas are
+// literal in .gitignore, escapes are not globs) are left to isIgnored.
+function getExcludeGlobs(rules) {
+    if (!rules || rules.some(rule => rule.negate)) {
+        return [];
+    }
+    return rules
+        .filter(rule => !/[{},\\]/.test(rule.pattern))
+        .flatMap(rule => {
+            const glob = rule.anchored ? rule.pattern : `**/${rule.pattern}`;
+            return rule.directoryOnly ? [`${glob}/**`] : [glob, `${glob}/**`];
+        });
+}
+
+module.exports = {
+    getExcludeGlobs,
+    globToRegExpSource,
+    parseGitignore,
+    isIgnored
+};
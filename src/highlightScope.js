@@ -0,0 +1,85 @@
+// Works out which text a tag highlights beyond the keyword itself. Offsets
+// only, so it stays independent of the editor API.
+//
+//   keyword    - just the keyword token (no extra ranges)
+//   line       - the rest of the comment on the keyword's line
+//   comment    - the whole comment, including continuation line comments
+//   wholeLine  - the full editor line (rendered with isWholeLine)
+
+const SCOPES = ['keyword', 'line', 'comment', 'wholeLine'];
+
+function findLineEnd(text, index) {
+    let end = text.indexOf('\n', index);
+    if (end === -1) {
+        end = text.length;
+    }
+    if (end > index && text[end - 1] === '\r') {
+        end--;
+    }
+    return end;
+}
+
+function columnOf(text, index) {
+    return index - (text.lastIndexOf('\n', index - 1) + 1);
+}
+
+// Line comments directly below a tagged line comment, at the same column,
+// continue it until an empty comment line or another tag.
+function findContinuationEnd(text, comments, index) {
+    const first = comments[index];
+    if (first.type !== 'line') {
+        return first.end;
+    }
+
+    const column = columnOf(text, first.start);
+    let end = first.end;
+
+    for (let i = index + 1; i < comments.length; i++) {
+        const next = comments[i];
+        if (next.type !== 'line' || next.open !== first.open) break;
+        if (!/^\r?\n[ \t]*$/.test(text.slice(end, next.start))) break;
+        if (columnOf(text, next.start) !== column) break;
+        if (!text.slice(next.start + next.open.length, next.end).trim()) break;
+        if (next.matches && next.matches.length > 0) break;
+        end = next.end;
+    }
+
+    return end;
+}
+
+// Ranges to style in addition to the keyword; the keyword itself is left out
+// so overlapping backgrounds do not stack.
+function getScopeRanges(text, comments, tag, scope) {
+    const comment = tag.comment;
+    const ranges = [];
+    const push = (start, end) => {
+        if (end > start) {
+            ranges.push({ start, end });
+        }
+    };
+
+    switch (scope) {
+        case 'line':
+            push(tag.end, Math.min(comment.end, findLineEnd(text, tag.end)));
+            break;
+        case 'comment': {
+            const index = comments[tag.commentIndex] === comment ? tag.commentIndex : comments.indexOf(comment);
+            const end = index === -1 ? comment.end : findContinuationEnd(text, comments, index);
+            push(comment.start, tag.start);
+            push(tag.end, end);
+            break;
+        }
+        case 'wholeLine':
+            ranges.push({ start: tag.start, end: tag.start });
+            break;
+        default:
+            break;
+    }
+
+    return ranges;
+}
+
+module.exports = {
+    SCOPES,
+    getScopeRanges
+};
@@ -0,0 +1,242 @@
+// End offset of the JSON string starting at index
+function skipString(text, index) {
+    let end = index + 1;
+    while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+    }
+    return end + 1;
+}
+
+function stripComments(text) {
+    let output = '';
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '"') {
+            const end = skipString(text, i);
+            output += text.slice(i, end);
+            i = end;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+            output += ' ';
+        } else {
+            output += char;
+            i++;
+        }
+    }
+    return output;
+}
+
+// Commas followed by nothing but whitespace before a closing bracket
+function stripTrailingCommas(text) {
+    let output = '';
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '"') {
+            const end = skipString(text, i);
+            output += text.slice(i, end);
+            i = end;
+            continue;
+        }
+        if (char === ',') {
+            let next = i + 1;
+            while (next < text.length && /\s/.test(text[next])) next++;
+            if (text[next] === '}' || text[next] === ']') {
+                i++;
+                continue;
+            }
+        }
+        output += char;
+        i++;
+    }
+    return output;
+}
+
+// JSON with comments and trailing commas, as in VS Code settings files.
+// Comments go first so a comma before a commented-out line still trails.
+function parseJsonc(text) {
+    return JSON.parse(stripTrailingCommas(stripComments(text)));
+}
+
+// Offset after the whitespace and comments at index
+function skipTrivia(text, index) {
+    let i = index;
+    for (;;) {
+        while (i < text.length && /\s/.test(text[i])) i++;
+        if (text.startsWith('//', i)) {
+            const end = text.indexOf('\n', i);
+            i = end === -1 ? text.length : end;
+        } else if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else {
+            return i;
+        }
+    }
+}
+
+// Value offsets of text that parseJsonc accepts: { type, start, end } with
+// `properties` ({ key, start, value }) for objects
+function parseTree(text) {
+    let i = 0;
+
+    function parseValue() {
+        i = skipTrivia(text, i);
+        const start = i;
+        const open = text[i];
+        if (open === '{' || open === '[') {
+            const close = open === '{' ? '}' : ']';
+            const properties = [];
+            i = skipTrivia(text, i + 1);
+            while (i < text.length && text[i] !== close) {
+                if (open === '{') {
+                    const keyStart = i;
+                    i = skipString(text, i);
+                    const key = JSON.parse(text.slice(keyStart, i));
+                    i = skipTrivia(text, i) + 1; // the colon
+                    properties.push({ key, start: keyStart, value: parseValue() });
+                } else {
+                    parseValue();
+                }
+                i = skipTrivia(text, i);
+                if (text[i] === ',') {
+                    i = skipTrivia(text, i + 1);
+                }
+            }
+            i++;
+            return open === '{' ? { type: 'object', start, end: i, properties } : { type: 'array', start, end: i };
+        }
+        if (open === '"') {
+            i = skipString(text, i);
+            return { type: 'string', start, end: i };
+        }
+        while (i < text.length && !/[\s,\]}/]/.test(text[i])) i++;
+        return { type: 'literal', start, end: i };
+    }
+
+    return parseValue();
+}
+
+function getLineIndent(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return /^[ \t]*/.exec(text.slice(lineStart, offset))[0];
+}
+
+// The file's indentation unit: that of its first indented line, else 2 spaces
+function detectIndent(text) {
+    const match = /^([ \t]+)\S/m.exec(text);
+    return match ? match[1] : '  ';
+}
+
+// Same-line comma and comment after a property's value
+const PROPERTY_TAIL = /^(?:[ \t]*(,))?([ \t]*(?:\/\/[^\r\n]*|\/\*[^\r\n]*?\*\/))?/;
+
+// Removes the property at a path, with its comma and same-line comment
+function removeProperty(text, path) {
+    let node = parseTree(text);
+    let parent = null;
+    let property = null;
+    for (const key of path) {
+        if (node.type !== 'object') {
+            return text;
+        }
+        parent = node;
+        property = node.properties.filter(candidate => candidate.key === key).pop();
+        if (!property) {
+            return text;
+        }
+        node = property.value;
+    }
+
+    const index = parent.properties.indexOf(property);
+    const next = parent.properties[index + 1];
+    if (next) {
+        return text.slice(0, property.start) + text.slice(next.start);
+    }
+    const previous = parent.properties[index - 1];
+    if (!previous) {
+        return text.slice(0, parent.start) + '{}' + text.slice(parent.end);
+    }
+
+    // The last property: drop its whole line when it has one, and the
+    // comma before it unless it had a trailing comma of its own
+    const lineStart = text.lastIndexOf('\n', property.start - 1) + 1;
+    if (lineStart <= previous.value.end || /\S/.test(text.slice(lineStart, property.start))) {
+        return text.slice(0, previous.value.end) + text.slice(property.value.end);
+    }
+    const tail = PROPERTY_TAIL.exec(text.slice(property.value.end));
+    let end = property.value.end + tail[0].length;
+    end += /^\r?\n/.exec(text.slice(end)) ? (text[end] === '\r' ? 2 : 1) : 0;
+    const previousTail = PROPERTY_TAIL.exec(text.slice(previous.value.end));
+    let before = text.slice(0, lineStart);
+    if (!tail[1] && previousTail[1]) {
+        const comma = previous.value.end + previousTail[0].indexOf(',');
+        before = before.slice(0, comma) + before.slice(comma + 1);
+    }
+    return before + text.slice(end);
+}
+
+// Sets the value at a property path and leaves the rest of the text, its
+// comments and formatting alone. Missing objects on the path are created and
+// an undefined value removes the property; text must parse with parseJsonc
+// or be empty.
+function modifyJsonc(text, path, value) {
+    if (value === undefined) {
+        return text.trim() === '' ? text : removeProperty(text, path);
+    }
+    const indent = detectIndent(text);
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const nest = (keys, inner) => keys.reduceRight((result, key) => ({ [key]: result }), inner);
+    const format = (formatted, baseIndent) => JSON.stringify(formatted, null, indent).split('\n').join(eol + baseIndent);
+
+    if (text.trim() === '') {
+        return format(nest(path, value), '') + eol;
+    }
+
+    const replace = (node, replacement) =>
+        text.slice(0, node.start) + format(replacement, getLineIndent(text, node.start)) + text.slice(node.end);
+
+    let node = parseTree(text);
+    for (let depth = 0; depth < path.length; depth++) {
+        if (node.type !== 'object') {
+            return replace(node, nest(path.slice(depth), value));
+        }
+
+        // Like JSON.parse, the last of duplicate keys counts
+        const property = node.properties.filter(candidate => candidate.key === path[depth]).pop();
+        if (property) {
+            node = property.value;
+            continue;
+        }
+
+        const inserted = nest(path.slice(depth + 1), value);
+        const last = node.properties[node.properties.length - 1];
+        if (!last) {
+            const objectIndent = getLineIndent(text, node.start);
+            const propertyIndent = objectIndent + indent;
+            return text.slice(0, node.start) +
+                `{${eol}${propertyIndent}${JSON.stringify(path[depth])}: ${format(inserted, propertyIndent)}${eol}${objectIndent}}` +
+                text.slice(node.end);
+        }
+        const propertyIndent = getLineIndent(text, last.start);
+        const entry = `${JSON.stringify(path[depth])}: ${format(inserted, propertyIndent)}`;
+
+        // A comment after the last property stays on its line
+        const tail = PROPERTY_TAIL.exec(text.slice(last.value.end));
+        if (tail[2]) {
+            return text.slice(0, last.value.end) + `,${tail[2]}${eol}${propertyIndent}${entry}${tail[1] || ''}` +
+                text.slice(last.value.end + tail[0].length);
+        }
+        return text.slice(0, last.value.end) + `,${eol}${propertyIndent}${entry}` + text.slice(last.value.end);
+    }
+    return replace(node, value);
+}
+
+module.exports = {
+    modifyJsonc,
+    parseJsonc
+};
@@ -0,0 +1,20 @@
+// Keyword sets that Apply Keyword Preset merges into customKeywords
+
+const KEYWORD_PRESETS = {
+    symbols: {
+        label: 'Symbol Tags',
+        description: '! alert, ? question, * highlight, >> follow-up, @@ attention',
+        detail: 'Punctuation at the start of a comment, e.g. `// ! do not change the order`. The rest of the line takes the symbol\'s color.',
+        keywords: {
+            '!': { color: '#FF2D00', fontWeight: 'bold', scope: 'line' },
+            '?': { color: '#3498DB', scope: 'line' },
+            '*': { color: '#98C379', scope: 'line' },
+            '>>': { color: '#C678DD', fontStyle: 'italic', scope: 'line' },
+            '@@': { color: '#FF8C00', backgroundColor: 'rgba(255, 140, 0, 0.15)', scope: 'line' }
+        }
+    }
+};
+
+module.exports = {
+    KEYWORD_PRESETS
+};
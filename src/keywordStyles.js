@@ -0,0 +1,164 @@
+// Keyword style values. A keyword maps either to a plain color string or to
+// a style object; both forms are normalized to the object form here. Style
+// objects may carry light/dark/highContrast overrides picked by theme kind.
+
+const { SCOPES } = require('./highlightScope');
+const { isValidColor } = require('./colors');
+
+const STYLE_PROPERTIES = [
+    'color',
+    'backgroundColor',
+    'border',
+    'fontStyle',
+    'fontWeight',
+    'textDecoration',
+    'icon',
+    'gutterIcon',
+    'overviewRulerColor',
+    'scope'
+];
+
+const THEME_VARIANTS = ['light', 'dark', 'highContrast'];
+
+// Overrides restyle the keyword; the scope stays the same in every theme
+const VARIANT_PROPERTIES = STYLE_PROPERTIES.filter(property => property !== 'scope');
+
+const COLOR_PROPERTIES = ['color', 'backgroundColor', 'overviewRulerColor'];
+
+// Properties that make a style visible on their own
+const VISIBLE_PROPERTIES = ['color', 'backgroundColor', 'border', 'textDecoration', 'icon', 'gutterIcon', 'overviewRulerColor'];
+
+const FONT_STYLES = ['normal', 'italic', 'oblique'];
+
+function isStyleObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pickProperties(value, properties) {
+    const style = {};
+    properties.forEach(property => {
+        if (value[property] !== undefined) {
+            style[property] = value[property];
+        }
+    });
+    return style;
+}
+
+function normalizeKeywordStyle(value) {
+    if (typeof value === 'string') {
+        return { color: value };
+    }
+    if (!isStyleObject(value)) {
+        return null;
+    }
+
+    const style = pickProperties(value, STYLE_PROPERTIES);
+    THEME_VARIANTS.forEach(variant => {
+        if (isStyleObject(value[variant])) {
+            style[variant] = pickProperties(value[variant], VARIANT_PROPERTIES);
+        }
+    });
+    return style;
+}
+
+function validateProperties(value, properties) {
+    for (const property of properties) {
+        if (value[property] !== undefined && typeof value[property] !== 'string') {
+            return `'${property}' must be a string`;
+        }
+    }
+
+    for (const property of COLOR_PROPERTIES) {
+        if (value[property] !== undefined && !isValidColor(value[property])) {
+            return `invalid ${property} ${value[property]}`;
+        }
+    }
+
+    if (value.fontStyle !== undefined && !FONT_STYLES.includes(value.fontStyle)) {
+        return `invalid fontStyle ${value.fontStyle}`;
+    }
+
+    return null;
+}
+
+function findUnknownProperties(value, properties) {
+    const unknown = Object.keys(value).filter(property => !properties.includes(property));
+    return unknown.length > 0 ? `unknown style propert${unknown.length === 1 ? 'y' : 'ies'} ${unknown.join(', ')}` : null;
+}
+
+// Returns a message describing why a keyword value is invalid, or null
+function validateKeywordStyle(value) {
+    if (typeof value === 'string') {
+        return isValidColor(value) ? null : `invalid color ${value}`;
+    }
+    if (!isStyleObject(value)) {
+        return 'style must be a color string or an object';
+    }
+
+    const unknownError = findUnknownProperties(value, [...STYLE_PROPERTIES, ...THEME_VARIANTS]);
+    if (unknownError) {
+        return unknownError;
+    }
+
+    const error = validateProperties(value, STYLE_PROPERTIES);
+    if (error) {
+        return error;
+    }
+
+    if (value.scope !== undefined && !SCOPES.includes(value.scope)) {
+        return `invalid scope ${value.scope}`;
+    }
+
+    for (const variant of THEME_VARIANTS) {
+        if (value[variant] === undefined) continue;
+        if (!isStyleObject(value[variant])) {
+            return `'${variant}' must be a style object`;
+        }
+        const variantError = findUnknownProperties(value[variant], VARIANT_PROPERTIES) || validateProperties(value[variant], VARIANT_PROPERTIES);
+        if (variantError) {
+            return `${variant}: ${variantError}`;
+        }
+    }
+
+    const styles = [value, ...THEME_VARIANTS.map(variant => value[variant]).filter(Boolean)];
+    if (!styles.some(style => VISIBLE_PROPERTIES.some(property => style[property]))) {
+        return `style needs at least one of ${VISIBLE_PROPERTIES.join(', ')}`;
+    }
+
+    return null;
+}
+
+// Single representative color, used where only one color can be shown
+function getKeywordColor(style) {
+    if (!style) {
+        return '#808080';
+    }
+    return style.color || style.backgroundColor || style.overviewRulerColor || '#808080';
+}
+
+// Style with the overrides for the active theme applied. 'highContrastLight'
+// layers the highContrast override over the light one.
+function resolveThemeStyle(style, themeVariant) {
+    if (!style) {
+        return style;
+    }
+
+    const resolved = pickProperties(style, STYLE_PROPERTIES);
+    const layers = themeVariant === 'highContrastLight' ? ['light', 'highContrast'] : [themeVariant];
+    layers.forEach(variant => {
+        if (style[variant]) {
+            Object.assign(resolved, style[variant]);
+        }
+    });
+    return resolved;
+}
+
+module.exports = {
+    STYLE_PROPERTIES,
+    THEME_VARIANTS,
+    isValidColor,
+    normalizeKeywordStyle,
+    validateKeywordStyle,
+    resolveThemeStyle,
+    getKeywordColor
+};
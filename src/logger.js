@@ -0,0 +1,69 @@
+const vscode = require('vscode');
+
+let logger = null;
+let errorCount = 0;
+const MAX_ERRORS = 10;
+
+// Error-safe logger
+function createLogger() {
+    try {
+        return vscode.window.createOutputChannel('Comment Wizard');
+    } catch (error) {
+        console.error('Failed to create logger:', error);
+        return null;
+    }
+}
+
+function initLogger() {
+    logger = createLogger();
+    errorCount = 0;
+    return logger;
+}
+
+function disposeLogger() {
+    if (logger) {
+        logger.dispose();
+        logger = null;
+    }
+}
+
+function logError(message, error = null) {
+    try {
+        if (logger) {
+            logger.appendLine(`[ERROR] ${message}`);
+            if (error) {
+                logger.appendLine(`[ERROR] Details: ${error.message || error.toString()}`);
+            }
+        }
+        console.error(message, error);
+
+        // Prevent spam by limiting errors
+        errorCount++;
+        if (errorCount > MAX_ERRORS) {
+            if (logger) {
+                logger.appendLine(`[ERROR] Too many errors (${errorCount}), stopping logging`);
+            }
+            return;
+        }
+    } catch (logError) {
+        console.error('Failed to log error:', logError);
+    }
+}
+
+function logInfo(message) {
+    try {
+        if (logger) {
+            logger.appendLine(`[INFO] ${message}`);
+        }
+        console.log(message);
+    } catch (error) {
+        console.error('Failed to log info:', error);
+    }
+}
+
+module.exports = {
+    initLogger,
+    disposeLogger,
+    logError,
+    logInfo
+};
@@ -0,0 +1,54 @@
+// Jupyter notebooks on disk, without the editor API. Cells are scanned one
+// at a time in their own language; their positions are relative to the cell.
+
+const path = require('path');
+
+const NOTEBOOK_EXTENSIONS = ['.ipynb'];
+
+function isNotebookFile(filePath) {
+    return NOTEBOOK_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Cell sources are stored as a string or as a list of lines
+function joinSource(source) {
+    return Array.isArray(source) ? source.join('') : typeof source === 'string' ? source : '';
+}
+
+function getKernelLanguage(notebook) {
+    const metadata = notebook.metadata || {};
+    const name = (metadata.language_info && metadata.language_info.name) ||
+        (metadata.kernelspec && metadata.kernelspec.language) ||
+        'python';
+    return String(name).toLowerCase();
+}
+
+// Code and markdown cells of an .ipynb file as { index, kind, languageId, text };
+// index counts every cell, as the notebook editor does. Throws on invalid JSON.
+function parseNotebookCells(text) {
+    const notebook = JSON.parse(text);
+    if (!notebook || !Array.isArray(notebook.cells)) {
+        return [];
+    }
+
+    const kernelLanguage = getKernelLanguage(notebook);
+    const cells = [];
+    notebook.cells.forEach((cell, index) => {
+        if (!cell || (cell.cell_type !== 'code' && cell.cell_type !== 'markdown')) {
+            return;
+        }
+        // VS Code records a per-cell language when it differs from the kernel's
+        const cellLanguage = cell.metadata && cell.metadata.vscode && cell.metadata.vscode.languageId;
+        cells.push({
+            index,
+            kind: cell.cell_type,
+            languageId: cell.cell_type === 'markdown' ? 'markdown' : cellLanguage || kernelLanguage,
+            text: joinSource(cell.source)
+        });
+    });
+    return cells;
+}
+
+module.exports = {
+    isNotebookFile,
+    parseNotebookCells
+};
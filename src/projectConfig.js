@@ -0,0 +1,241 @@
+const vscode = require('vscode');
+const { logError, logInfo } = require('./logger');
+const { lookupSetting, layerSetting } = require('./tagEngine');
+const { parseJsonc, modifyJsonc } = require('./jsonc');
+
+// Team configuration committed with a project: a .commentwizardrc.json file
+// or a "commentwizard" key in package.json at a workspace folder root. Keys
+// are setting names without the "commentWizard." prefix, either dotted
+// ("metadata.enabled") or nested ({ "metadata": { "enabled": true } }).
+//
+// Effective settings are layered, later layers winning:
+//   defaults < user settings < project files < workspace settings < workspace folder settings
+//
+// Object settings such as keyword maps are merged by key, so a project file
+// adds keywords to the user's instead of hiding them; other values replace.
+// With several workspace folders the first folder that sets a value wins.
+// Untrusted workspaces get no project layer until trust is granted.
+
+const SECTION = 'commentWizard';
+const RC_FILE = '.commentwizardrc.json';
+const PACKAGE_KEY = 'commentwizard';
+const textDecoder = new TextDecoder();
+const textEncoder = new TextEncoder();
+
+let projectSettings = new Map();
+let watchers = [];
+let loadGeneration = 0;
+const changeEmitter = new vscode.EventEmitter();
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getFolders() {
+    return (vscode.workspace.workspaceFolders || []).filter(folder => projectSettings.has(folder.uri.toString()));
+}
+
+function getProjectValue(key) {
+    // Reverse order so the first folder is applied last and wins
+    return getFolders().reverse().reduce((value, folder) => {
+        const entry = projectSettings.get(folder.uri.toString());
+        return layerSetting(value, lookupSetting(entry.settings, key));
+    }, undefined);
+}
+
+// Drop-in replacement for getConfiguration('commentWizard') that includes
+// project files. Writes still go through the VS Code configuration.
+function getConfiguration() {
+    const config = vscode.workspace.getConfiguration(SECTION);
+
+    return {
+        get(key, defaultValue) {
+            const inspected = config.inspect(key);
+            if (!inspected) {
+                return config.get(key, defaultValue);
+            }
+
+            // Settings replace each other; only project values merge into them
+            let value = inspected.defaultValue;
+            if (inspected.globalValue !== undefined) value = inspected.globalValue;
+            value = layerSetting(value, getProjectValue(key));
+            if (inspected.workspaceValue !== undefined) value = inspected.workspaceValue;
+
+            const folderValue = (vscode.workspace.workspaceFolders || [])
+                .map(folder => vscode.workspace.getConfiguration(SECTION, folder.uri).inspect(key))
+                .map(folderInspected => folderInspected && folderInspected.workspaceFolderValue)
+                .find(candidate => candidate !== undefined);
+            if (folderValue !== undefined) value = folderValue;
+
+            return value === undefined ? defaultValue : value;
+        },
+        inspect: key => config.inspect(key),
+        update: (key, value, target) => config.update(key, value, target)
+    };
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Undefined for a missing file
+async function readText(uri) {
+    let content;
+    try {
+        content = await vscode.workspace.fs.readFile(uri);
+    } catch (error) {
+        if (error.code === 'FileNotFound') {
+            return undefined;
+        }
+        throw error;
+    }
+    return textDecoder.decode(content);
+}
+
+// Comments and trailing commas are allowed, as in the CLI; invalid content
+// throws so the file is never overwritten
+async function readJson(uri) {
+    const text = await readText(uri);
+    return text === undefined ? undefined : parseJsonc(text);
+}
+
+async function readJsonSafe(uri) {
+    try {
+        return await readJson(uri);
+    } catch (error) {
+        logError(`Could not read ${uri.fsPath}`, error);
+        return undefined;
+    }
+}
+
+// The rc file takes precedence over the package.json key
+async function loadFolder(folder) {
+    const rcUri = vscode.Uri.joinPath(folder.uri, RC_FILE);
+    const rc = await readJsonSafe(rcUri);
+    if (isPlainObject(rc)) {
+        return { source: rcUri, settings: rc };
+    }
+
+    const packageUri = vscode.Uri.joinPath(folder.uri, 'package.json');
+    const packageJson = await readJsonSafe(packageUri);
+    if (isPlainObject(packageJson) && isPlainObject(packageJson[PACKAGE_KEY])) {
+        return { source: packageUri, settings: packageJson[PACKAGE_KEY] };
+    }
+    return null;
+}
+
+async function loadProjectConfig() {
+    const generation = ++loadGeneration;
+    const loaded = new Map();
+    const folders = vscode.workspace.isTrusted ? vscode.workspace.workspaceFolders || [] : [];
+
+    for (const folder of folders) {
+        const entry = await loadFolder(folder);
+        if (entry) {
+            loaded.set(folder.uri.toString(), entry);
+        }
+    }
+
+    // A newer load started while this one was reading files
+    if (generation !== loadGeneration) {
+        return;
+    }
+    projectSettings = loaded;
+    loaded.forEach(entry => logInfo(`Loaded project configuration from ${entry.source.fsPath}`));
+    changeEmitter.fire();
+}
+
+function createWatchers() {
+    watchers.forEach(watcher => watcher.dispose());
+    watchers = (vscode.workspace.workspaceFolders || []).map(folder => {
+        const watcher = vscode.workspace.createFileSystemWatcher(
+            new vscode.RelativePattern(folder, `{${RC_FILE},package.json}`)
+        );
+        const reload = () => loadProjectConfig().catch(error => logError('Failed to reload project configuration', error));
+        watcher.onDidCreate(reload);
+        watcher.onDidChange(reload);
+        watcher.onDidDelete(reload);
+        return watcher;
+    });
+}
+
+function initProjectConfig(context) {
+    try {
+        createWatchers();
+        context.subscriptions.push(
+            vscode.workspace.onDidChangeWorkspaceFolders(() => {
+                createWatchers();
+                loadProjectConfig().catch(error => logError('Failed to reload project configuration', error));
+            }),
+            vscode.workspace.onDidGrantWorkspaceTrust(() => {
+                loadProjectConfig().catch(error => logError('Failed to load project configuration', error));
+            }),
+            { dispose: disposeProjectConfig }
+        );
+        loadProjectConfig().catch(error => logError('Failed to load project configuration', error));
+    } catch (error) {
+        logError('Failed to initialize project configuration', error);
+    }
+}
+
+function disposeProjectConfig() {
+    watchers.forEach(watcher => watcher.dispose());
+    watchers = [];
+    projectSettings = new Map();
+}
+
+// Where add/remove commands can write. Project file targets edit the rc file,
+// creating it when the folder has none (a package.json key is edited in place).
+function getProjectFileUri(folder) {
+    const entry = projectSettings.get(folder.uri.toString());
+    return entry ? entry.source : vscode.Uri.joinPath(folder.uri, RC_FILE);
+}
+
+function getProjectValueForFolder(folder, key) {
+    const entry = projectSettings.get(folder.uri.toString());
+    return entry ? lookupSetting(entry.settings, key) : undefined;
+}
+
+// Edits the file text in place so its comments and indentation survive
+async function updateProjectValue(folder, key, value) {
+    const uri = getProjectFileUri(folder);
+    const isPackageJson = uri.path.endsWith('/package.json');
+    const text = (await readText(uri)) || '';
+    const json = text.trim() ? parseJsonc(text) : {};
+    const prefix = isPackageJson ? [PACKAGE_KEY] : [];
+    const settings = isPackageJson ? (isPlainObject(json[PACKAGE_KEY]) ? json[PACKAGE_KEY] : {}) : json;
+
+    // Keep nested files nested; otherwise use the flat key
+    const parts = key.split('.');
+    const nested = isPlainObject(settings) && !hasOwn(settings, key) && parts.length > 1 && isPlainObject(settings[parts[0]]);
+    const path = prefix.concat(nested ? parts : [key]);
+    const current = path.reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), json);
+
+    // Object values such as keyword maps change one entry at a time, so only
+    // the entries that differ are touched
+    let updated = text;
+    if (isPlainObject(current) && isPlainObject(value)) {
+        Object.keys(current)
+            .filter(entry => !hasOwn(value, entry))
+            .forEach(entry => { updated = modifyJsonc(updated, path.concat(entry), undefined); });
+        Object.keys(value)
+            .filter(entry => !hasOwn(current, entry) || JSON.stringify(current[entry]) !== JSON.stringify(value[entry]))
+            .forEach(entry => { updated = modifyJsonc(updated, path.concat(entry), value[entry]); });
+    } else {
+        updated = modifyJsonc(text, path, value);
+    }
+
+    await vscode.workspace.fs.writeFile(uri, textEncoder.encode(updated));
+    await loadProjectConfig();
+    return uri;
+}
+
+module.exports = {
+    RC_FILE,
+    getConfiguration,
+    initProjectConfig,
+    loadProjectConfig,
+    getProjectValueForFolder,
+    updateProjectValue,
+    onDidChangeProjectConfig: changeEmitter.event
+};
@@ -0,0 +1,307 @@
+// Highlight rules from `commentWizard.regexPatterns`, without the editor API.
+// A rule is { name, pattern, flags, scope, style, groups }: `style` colors the
+// whole match and `groups` maps capture group numbers or names to their own
+// style. Rules only decorate text; they never create tagged comments.
+
+const vm = require('vm');
+const { validateKeywordStyle } = require('./keywordStyles');
+
+const RULE_PROPERTIES = ['name', 'pattern', 'flags', 'scope', 'style', 'groups'];
+const RULE_SCOPES = ['comments', 'file'];
+const ALLOWED_FLAGS = 'imsu';
+const DEFAULT_TIME_BUDGET = 50;
+
+// More matches than this in one document are not decorated
+const MAX_MATCHES = 5000;
+
+// Collects a rule's matches in all spans. It runs in a separate context so a
+// time limit can interrupt a single exec call, which can backtrack for seconds.
+const MATCH_SCRIPT = new vm.Script(`(() => {
+    const found = [];
+    for (const span of spans) {
+        const spanText = span.start === 0 && span.end === text.length ? text : text.slice(span.start, span.end);
+        regex.lastIndex = 0;
+        for (let result; (result = regex.exec(spanText)) !== null;) {
+            if (result[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            if (found.length === limit) {
+                return found;
+            }
+            found.push({ offset: span.start, result });
+        }
+    }
+    return found;
+})()`);
+
+// Length of a quantifier at index that repeats without a fixed count
+// (*, +, {n,}, {n,m}), or 0. `?` and `{n}` cannot nest into runaway matching.
+function readRepeatingQuantifier(source, index) {
+    const char = source[index];
+    if (char === '*' || char === '+') {
+        return 1;
+    }
+    if (char === '{') {
+        const match = /^\{(\d+),(\d*)\}/.exec(source.slice(index));
+        if (match && (match[2] === '' || Number(match[2]) > Number(match[1]))) {
+            return match[0].length;
+        }
+    }
+    return 0;
+}
+
+// Finds a repeated group that itself contains a repetition, such as (a+)+ or
+// (?:\w*\s?)*: the usual shape of catastrophic backtracking. Returns the
+// offending group's source, or null.
+function findNestedQuantifier(source) {
+    const stack = [{ start: 0, repeats: false }];
+    let index = 0;
+    while (index < source.length) {
+        const char = source[index];
+        if (char === '\\') {
+            index += 2;
+        } else if (char === '[') {
+            // Character classes repeat as one unit
+            index++;
+            if (source[index] === '^') index++;
+            if (source[index] === ']') index++;
+            while (index < source.length && source[index] !== ']') {
+                index += source[index] === '\\' ? 2 : 1;
+            }
+            index++;
+            if (readRepeatingQuantifier(source, index)) {
+                stack[stack.length - 1].repeats = true;
+            }
+        } else if (char === '(') {
+            stack.push({ start: index, repeats: false });
+            index++;
+        } else if (char === ')') {
+            const group = stack.length > 1 ? stack.pop() : { start: 0, repeats: false };
+            index++;
+            const quantifier = readRepeatingQuantifier(source, index);
+            if (quantifier && group.repeats) {
+                return source.slice(group.start, index + quantifier);
+            }
+            if (quantifier || group.repeats) {
+                stack[stack.length - 1].repeats = true;
+            }
+        } else {
+            if (readRepeatingQuantifier(source, index)) {
+                stack[stack.length - 1].repeats = true;
+            }
+            index++;
+        }
+    }
+    return null;
+}
+
+// Returns a message describing why a pattern cannot be used, or null
+function validatePattern(pattern, flags = '') {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+        return 'pattern must be a non-empty string';
+    }
+    if (typeof flags !== 'string') {
+        return 'flags must be a string';
+    }
+    const unknownFlags = [...flags].filter(flag => !ALLOWED_FLAGS.includes(flag));
+    if (unknownFlags.length > 0) {
+        return `unsupported flag${unknownFlags.length === 1 ? '' : 's'} ${unknownFlags.join('')} (allowed: ${ALLOWED_FLAGS})`;
+    }
+    try {
+        new RegExp(pattern, flags);
+    } catch (error) {
+        return error.message;
+    }
+    const nested = findNestedQuantifier(pattern);
+    if (nested) {
+        return `nested quantifier ${nested} can take exponential time; make the inner or outer repetition fixed`;
+    }
+    return null;
+}
+
+// Capture group count and names, read from a match of the empty alternative
+function getCaptureGroups(regex) {
+    const probe = new RegExp(`${regex.source}|`, regex.flags.replace('g', ''));
+    const result = probe.exec('');
+    return { count: result.length - 1, names: Object.keys(result.groups || {}) };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function compileRegexRule(rule, index) {
+    if (!isPlainObject(rule)) {
+        throw new Error('rule must be an object');
+    }
+    const unknown = Object.keys(rule).filter(property => !RULE_PROPERTIES.includes(property));
+    if (unknown.length > 0) {
+        throw new Error(`unknown propert${unknown.length === 1 ? 'y' : 'ies'} ${unknown.join(', ')}`);
+    }
+
+    const flags = rule.flags === undefined ? '' : rule.flags;
+    const patternError = validatePattern(rule.pattern, flags);
+    if (patternError) {
+        throw new Error(patternError);
+    }
+
+    const scope = rule.scope === undefined ? 'comments' : rule.scope;
+    if (!RULE_SCOPES.includes(scope)) {
+        throw new Error(`invalid scope ${scope} (allowed: ${RULE_SCOPES.join(', ')})`);
+    }
+
+    // 'd' records where each capture group matched
+    const regex = new RegExp(rule.pattern, `${flags}gd`);
+    const styles = new Map();
+    if (rule.style !== undefined) {
+        const styleError = validateKeywordStyle(rule.style);
+        if (styleError) {
+            throw new Error(`invalid style: ${styleError}`);
+        }
+        styles.set('match', rule.style);
+    }
+
+    if (rule.groups !== undefined) {
+        if (!isPlainObject(rule.groups)) {
+            throw new Error('groups must map capture group numbers or names to styles');
+        }
+        const captures = getCaptureGroups(regex);
+        Object.entries(rule.groups).forEach(([group, style]) => {
+            const number = /^\d+$/.test(group) ? Number(group) : null;
+            if (number === null ? !captures.names.includes(group) : number < 1 || number > captures.count) {
+                throw new Error(`the pattern has no capture group ${group}`);
+            }
+            const styleError = validateKeywordStyle(style);
+            if (styleError) {
+                throw new Error(`invalid style for group ${group}: ${styleError}`);
+            }
+            styles.set(group, style);
+        });
+    }
+
+    if (styles.size === 0) {
+        throw new Error('rule needs a style or group styles');
+    }
+
+    const name = typeof rule.name === 'string' && rule.name ? rule.name : rule.pattern;
+    return { index, name, regex, scope, styles };
+}
+
+// Valid rules of the setting; each invalid one is reported and left out
+function compileRegexRules(rules, onError = () => {}) {
+    if (!Array.isArray(rules)) {
+        if (rules !== undefined && rules !== null) {
+            onError('regexPatterns must be an array of rules');
+        }
+        return [];
+    }
+
+    const compiled = [];
+    rules.forEach((rule, index) => {
+        try {
+            compiled.push(compileRegexRule(rule, index));
+        } catch (error) {
+            const label = isPlainObject(rule) && typeof rule.name === 'string' ? `'${rule.name}'` : `#${index + 1}`;
+            onError(`Invalid regex rule ${label}: ${error.message}`);
+        }
+    });
+    return compiled;
+}
+
+// Decoration key of a rule's whole match or one of its capture groups
+function getRuleStyleKey(rule, part) {
+    return `${rule.index}:${part}`;
+}
+
+function getGroupIndices(result, part) {
+    if (part === 'match') {
+        return result.indices[0];
+    }
+    return /^\d+$/.test(part) ? result.indices[Number(part)] : result.indices.groups && result.indices.groups[part];
+}
+
+// Runs compiled rules over documents. A rule that spends more than timeBudget
+// milliseconds on one document is stopped and disabled until the rules are
+// recompiled, and onDisable(rule, elapsed, documentName) reports it.
+class RegexRuleSet {
+    constructor(rules, { timeBudget = DEFAULT_TIME_BUDGET, onDisable = () => {} } = {}) {
+        this.rules = rules;
+        this.timeBudget = timeBudget > 0 ? timeBudget : DEFAULT_TIME_BUDGET;
+        this.onDisable = onDisable;
+        this.disabled = new Set();
+        this.context = vm.createContext({});
+    }
+
+    get size() {
+        return this.rules.length;
+    }
+
+    get needsComments() {
+        return this.rules.some(rule => rule.scope === 'comments' && !this.disabled.has(rule.index));
+    }
+
+    // Ranges by style key, as { start, end } offsets into text. Comments are the
+    // lexer's { start, end } spans; rules scoped to comments are skipped without them.
+    match(text, comments, documentName) {
+        const ranges = new Map();
+        this.rules.forEach(rule => {
+            if (this.disabled.has(rule.index)) {
+                return;
+            }
+            if (rule.scope === 'comments' && !comments) {
+                return;
+            }
+            const spans = rule.scope === 'file' ? [{ start: 0, end: text.length }] : comments;
+            const ruleRanges = this.matchRule(rule, text, spans, documentName);
+            if (ruleRanges) {
+                ruleRanges.forEach((list, key) => ranges.set(key, list));
+            }
+        });
+        return ranges;
+    }
+
+    matchRule(rule, text, spans, documentName) {
+        const started = Date.now();
+        let found;
+        Object.assign(this.context, { regex: rule.regex, text, spans, limit: MAX_MATCHES });
+        try {
+            found = MATCH_SCRIPT.runInContext(this.context, { timeout: Math.ceil(this.timeBudget) });
+        } catch (error) {
+            if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                throw error;
+            }
+            this.disabled.add(rule.index);
+            this.onDisable(rule, Date.now() - started, documentName);
+            return null;
+        } finally {
+            // Documents are not kept alive by the context
+            Object.assign(this.context, { regex: null, text: null, spans: null });
+        }
+
+        const ranges = new Map();
+        found.forEach(({ offset, result }) => {
+            rule.styles.forEach((style, part) => {
+                const indices = getGroupIndices(result, part);
+                if (!indices || indices[0] === indices[1]) {
+                    return;
+                }
+                const key = getRuleStyleKey(rule, part);
+                if (!ranges.has(key)) {
+                    ranges.set(key, []);
+                }
+                ranges.get(key).push({ start: offset + indices[0], end: offset + indices[1] });
+            });
+        });
+        return ranges;
+    }
+}
+
+module.exports = {
+    DEFAULT_TIME_BUDGET,
+    RegexRuleSet,
+    compileRegexRules,
+    findNestedQuantifier,
+    getRuleStyleKey,
+    validatePattern
+};
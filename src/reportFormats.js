@@ -0,0 +1,253 @@
+// Tagged comment reports. Entries are plain objects so reports can be built
+// from the workspace index or any other source:
+//   { keyword, urgency, file, cell, line, column, owner, due, text, link, author, date }
+// `cell` is the 1-based notebook cell for tags in notebooks, whose line and
+// column are then relative to the cell. `urgency` counts the `!`s after the
+// keyword, as in `TODO!!`.
+
+const { formatDate } = require('./tagMetadata');
+
+const REPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md' },
+    csv: { label: 'CSV', extension: 'csv' },
+    html: { label: 'HTML', extension: 'html' }
+};
+
+const GROUPINGS = ['keyword', 'file', 'owner'];
+
+function compareEntries(a, b) {
+    return a.file.localeCompare(b.file) || (a.cell || 0) - (b.cell || 0) || a.line - b.line || a.column - b.column;
+}
+
+function formatLocation(entry) {
+    return entry.cell === undefined ? `${entry.file}:${entry.line}` : `${entry.file} cell ${entry.cell}:${entry.line}`;
+}
+
+function groupEntries(entries, groupBy) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const name = (groupBy === 'owner' ? entry.owner : entry[groupBy]) || 'Unassigned';
+        if (!groups.has(name)) {
+            groups.set(name, []);
+        }
+        groups.get(name).push(entry);
+    });
+
+    return Array.from(groups.entries())
+        .sort(([a], [b]) => (a === 'Unassigned') - (b === 'Unassigned') || a.localeCompare(b))
+        .map(([name, groupEntries]) => ({ name, entries: groupEntries.sort(compareEntries) }));
+}
+
+function hasUrgency(entries) {
+    return entries.some(entry => entry.urgency > 0);
+}
+
+function formatUrgency(entry) {
+    return '!'.repeat(entry.urgency || 0);
+}
+
+// [keyword, count, urgent count] sorted by keyword
+function countByKeyword(entries) {
+    const counts = new Map();
+    entries.forEach(entry => {
+        const count = counts.get(entry.keyword) || [entry.keyword, 0, 0];
+        count[1]++;
+        if (entry.urgency > 0) {
+            count[2]++;
+        }
+        counts.set(entry.keyword, count);
+    });
+    return Array.from(counts.values()).sort(([a], [b]) => a.localeCompare(b));
+}
+
+function formatEntryDate(date) {
+    return date ? formatDate(date) : '';
+}
+
+function getColumns(entries, options) {
+    const columns = [
+        { title: 'Location', value: formatLocation },
+        { title: 'Keyword', value: entry => entry.keyword },
+        ...(hasUrgency(entries) ? [{ title: 'Urgency', value: formatUrgency }] : []),
+        { title: 'Owner', value: entry => entry.owner || '' },
+        { title: 'Due', value: entry => entry.due || '' },
+        { title: 'Comment', value: entry => entry.text }
+    ];
+    if (options.includeGit) {
+        columns.push(
+            { title: 'Author', value: entry => entry.author || '' },
+            { title: 'Date', value: entry => formatEntryDate(entry.date) }
+        );
+    }
+    return columns;
+}
+
+function escapeMarkdownCell(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function formatMarkdown(entries, options) {
+    const columns = getColumns(entries, options);
+    const urgent = hasUrgency(entries);
+    const lines = [
+        `# ${options.title}`,
+        '',
+        `Generated ${formatDate(options.generatedAt)} · ${entries.length} tagged comment${entries.length === 1 ? '' : 's'}`,
+        '',
+        urgent ? '| Keyword | Count | Urgent |' : '| Keyword | Count |',
+        urgent ? '|---|---:|---:|' : '|---|---:|'
+    ];
+    countByKeyword(entries).forEach(([keyword, count, urgentCount]) =>
+        lines.push(`| ${escapeMarkdownCell(keyword)} | ${count} |${urgent ? ` ${urgentCount} |` : ''}`));
+
+    groupEntries(entries, options.groupBy).forEach(group => {
+        lines.push('', `## ${escapeMarkdownCell(group.name)} (${group.entries.length})`, '');
+        lines.push(`| ${columns.map(column => column.title).join(' | ')} |`);
+        lines.push(`|${columns.map(() => '---').join('|')}|`);
+        group.entries.forEach(entry => {
+            const cells = columns.map((column, index) => {
+                const value = escapeMarkdownCell(column.value(entry));
+                return index === 0 && entry.link ? `[${value}](${encodeURI(entry.link)})` : value;
+            });
+            lines.push(`| ${cells.join(' | ')} |`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function escapeCsv(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(entries, options) {
+    const hasCells = entries.some(entry => entry.cell !== undefined);
+    const urgent = hasUrgency(entries);
+    const header = ['Keyword', 'File', 'Line', 'Column', 'Owner', 'Due', 'Comment'];
+    if (hasCells) {
+        header.splice(2, 0, 'Cell');
+    }
+    if (urgent) {
+        header.splice(1, 0, 'Urgency');
+    }
+    if (options.includeGit) {
+        header.push('Author', 'Date');
+    }
+
+    const rows = [header];
+    groupEntries(entries, options.groupBy).forEach(group => {
+        group.entries.forEach(entry => {
+            const row = [entry.keyword, entry.file, entry.line, entry.column, entry.owner || '', entry.due || '', entry.text];
+            if (hasCells) {
+                row.splice(2, 0, entry.cell === undefined ? '' : entry.cell);
+            }
+            if (urgent) {
+                row.splice(1, 0, entry.urgency || 0);
+            }
+            if (options.includeGit) {
+                row.push(entry.author || '', formatEntryDate(entry.date));
+            }
+            rows.push(row);
+        });
+    });
+
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatHtml(entries, options) {
+    const columns = getColumns(entries, options);
+    const urgent = hasUrgency(entries);
+    const colors = options.keywordColors || {};
+    const keywordBadge = keyword => {
+        const color = colors[keyword] || '#808080';
+        return `<span class="keyword" style="color: ${escapeHtml(color)}; border-color: ${escapeHtml(color)}">${escapeHtml(keyword)}</span>`;
+    };
+    const cell = (column, entry) => {
+        if (column.title === 'Keyword') {
+            return keywordBadge(entry.keyword);
+        }
+        const value = escapeHtml(column.value(entry));
+        return column.title === 'Location' && entry.link ? `<a href="${escapeHtml(encodeURI(entry.link))}">${value}</a>` : value;
+    };
+
+    const counts = countByKeyword(entries)
+        .map(([keyword, count, urgentCount]) => `<tr><td>${keywordBadge(keyword)}</td><td class="count">${count}</td>${urgent ? `<td class="count">${urgentCount}</td>` : ''}</tr>`)
+        .join('\n');
+    const sections = groupEntries(entries, options.groupBy).map(group => {
+        const heading = options.groupBy === 'keyword' ? keywordBadge(group.name) : escapeHtml(group.name);
+        const rows = group.entries
+            .map(entry => `<tr>${columns.map(column => `<td>${cell(column, entry)}</td>`).join('')}</tr>`)
+            .join('\n');
+        return `<h2>${heading} <small>(${group.entries.length})</small></h2>
+<table>
+<thead><tr>${columns.map(column => `<th>${column.title}</th>`).join('')}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(options.title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2em; color: #1f1f1f; background: #ffffff; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #d0d0d0; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+td.count { text-align: right; }
+.keyword { font-weight: bold; border: 1px solid; border-radius: 3px; padding: 0 4px; background: #2b2b2b; }
+small { color: #6f6f6f; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(options.title)}</h1>
+<p>Generated ${formatDate(options.generatedAt)} · ${entries.length} tagged comment${entries.length === 1 ? '' : 's'}</p>
+<table>
+<thead><tr><th>Keyword</th><th>Count</th>${urgent ? '<th>Urgent</th>' : ''}</tr></thead>
+<tbody>
+${counts}
+</tbody>
+</table>
+${sections}
+</body>
+</html>
+`;
+}
+
+const FORMATTERS = {
+    markdown: formatMarkdown,
+    csv: formatCsv,
+    html: formatHtml
+};
+
+// options: { groupBy, includeGit, keywordColors, title, generatedAt }
+function formatReport(format, entries, options = {}) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unknown report format '${format}'`);
+    }
+    return formatter(entries, {
+        title: 'Tagged Comments',
+        generatedAt: new Date(),
+        ...options,
+        groupBy: GROUPINGS.includes(options.groupBy) ? options.groupBy : 'keyword'
+    });
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    GROUPINGS,
+    formatReport
+};
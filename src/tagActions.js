@@ -0,0 +1,227 @@
+const vscode = require('vscode');
+const { logError } = require('./logger');
+const { getConfiguration } = require('./projectConfig');
+const { isRegexKeyword } = require('./tagMatcher');
+const { BRACKETS, formatDate } = require('./tagMetadata');
+
+const ACTION_KIND = vscode.CodeActionKind.RefactorRewrite.append('commentWizard');
+
+const PRIORITY_WORDS = ['low', 'medium', 'high', 'critical'];
+
+// Closing delimiters of block comments, kept when the tag on the last line goes
+const BLOCK_CLOSE = /\s*(\*\/|-->|"""|'''|\]=*\]|-\}|\*\)|=end|=cut)\s*$/;
+
+// Decoration that may precede a tag on its own comment line, such as ` * `
+const LINE_DECORATION = /^[\s*#/!-]*$/;
+
+// Next priority up, keeping the spelling of the current one: P2 → P1,
+// high → critical, HIGH → CRITICAL. Null at the top of the scale.
+function escalatePriority(value) {
+    const numbered = /^([Pp])([0-4])$/.exec(value);
+    if (numbered) {
+        return numbered[2] === '0' ? null : `${numbered[1]}${Number(numbered[2]) - 1}`;
+    }
+
+    const index = PRIORITY_WORDS.indexOf(value.toLowerCase());
+    if (index === -1 || index === PRIORITY_WORDS.length - 1) {
+        return null;
+    }
+    const next = PRIORITY_WORDS[index + 1];
+    if (value === value.toUpperCase()) {
+        return next.toUpperCase();
+    }
+    return value[0] === value[0].toUpperCase() ? next[0].toUpperCase() + next.slice(1) : next;
+}
+
+function getMetadataSyntax(config) {
+    const [open, close] = BRACKETS[config.get('metadata.brackets', '()')] || BRACKETS['()'];
+    return { open, close, separator: config.get('metadata.separator', ',') || ',' };
+}
+
+// Range covering the keyword and its metadata block
+function getTagExtent(document, tag) {
+    return tag.metadata
+        ? new vscode.Range(tag.range.start, document.positionAt(tag.metadata.end))
+        : tag.range;
+}
+
+// What goes when a tag is resolved by deletion: the whole comment (and its
+// line, if nothing else is on it) when the tag starts the comment, the whole
+// line for a tag on its own line inside a block comment, and otherwise the tag
+// text up to the end of the line or the comment's closing delimiter.
+function getDeletionRange(document, tag) {
+    const comment = tag.comment.range;
+    const line = document.lineAt(tag.range.start.line);
+    const text = line.text;
+    const onFirstLine = line.lineNumber === comment.start.line;
+    const onLastLine = line.lineNumber === comment.end.line;
+
+    const commentStart = onFirstLine ? comment.start.character + tag.comment.open.length : 0;
+    const leadIsDecoration = LINE_DECORATION.test(text.slice(commentStart, tag.range.start.character));
+
+    if (comment.isSingleLine && leadIsDecoration) {
+        const before = text.slice(0, comment.start.character);
+        if (!before.trim() && !text.slice(comment.end.character).trim()) {
+            return line.rangeIncludingLineBreak;
+        }
+        const start = before.trim() ? before.trimEnd().length : comment.start.character;
+        return new vscode.Range(line.lineNumber, start, line.lineNumber, comment.end.character);
+    }
+
+    if (!onFirstLine && !onLastLine && leadIsDecoration) {
+        return line.rangeIncludingLineBreak;
+    }
+
+    let end = onLastLine ? comment.end.character : text.length;
+    if (onLastLine && tag.comment.type === 'block') {
+        const close = BLOCK_CLOSE.exec(text.slice(0, end));
+        if (close && close.index >= tag.range.start.character) {
+            end = close.index;
+        }
+    }
+    const lead = text.slice(commentStart, tag.range.start.character);
+    const start = tag.range.start.character - (lead.length - lead.trimEnd().length);
+    return new vscode.Range(line.lineNumber, start, line.lineNumber, end);
+}
+
+// Rewrites `TODO(alice, 2026-11-01): ...` to `DONE(alice, resolved: <today>): ...`.
+// The due date is dropped so resolved tags are never reported as overdue.
+function getResolvedText(document, tag, config) {
+    const keyword = config.get('actions.resolvedKeyword', 'DONE') || 'DONE';
+    const { open, close, separator } = getMetadataSyntax(config);
+    const fields = tag.metadata
+        ? tag.metadata.fields
+            .filter(field => field.kind !== 'due')
+            .map(field => document.getText(new vscode.Range(document.positionAt(field.start), document.positionAt(field.end))))
+        : [];
+    fields.push(`resolved: ${formatDate(new Date())}`);
+    return `${keyword}${open}${fields.join(`${separator} `)}${close}`;
+}
+
+function getEscalationEdit(document, tag, config) {
+    if (!tag.metadata) {
+        const { open, close } = getMetadataSyntax(config);
+        return config.get('metadata.enabled', true)
+            ? vscode.TextEdit.insert(tag.range.end, `${open}high${close}`)
+            : null;
+    }
+
+    const field = tag.metadata.fields.find(candidate => candidate.kind === 'priority');
+    if (!field) {
+        const { separator } = getMetadataSyntax(config);
+        return vscode.TextEdit.insert(document.positionAt(tag.metadata.end - 1), `${separator} high`);
+    }
+
+    const next = escalatePriority(field.value);
+    if (!next) {
+        return null;
+    }
+    // The value sits at the end of the field, after an optional `priority:` key
+    const valueStart = field.end - field.value.length;
+    return vscode.TextEdit.replace(
+        new vscode.Range(document.positionAt(valueStart), document.positionAt(field.end)),
+        next
+    );
+}
+
+// Keeps the `@` prefix and `!` urgency suffix of the spelling being replaced
+function getKeywordReplacement(document, tag, keyword) {
+    const prefix = document.getText(tag.range).startsWith('@') ? '@' : '';
+    return `${prefix}${keyword}${'!'.repeat(tag.urgency || 0)}`;
+}
+
+// Drops edits overlapping an earlier one, e.g. two tags in one deleted comment
+function withoutOverlaps(edits) {
+    const sorted = edits.filter(Boolean).sort((a, b) => a.range.start.compareTo(b.range.start));
+    return sorted.filter((edit, index) => index === 0 || !edit.range.start.isBefore(sorted[index - 1].range.end));
+}
+
+class TagCodeActionProvider {
+    constructor(scanDocument, getKeywords) {
+        this.scanDocument = scanDocument;
+        this.getKeywords = getKeywords;
+    }
+
+    // Every selection of the editor counts, so actions apply to multi-cursor picks
+    getSelections(document, range) {
+        const editor = vscode.window.activeTextEditor;
+        return editor && editor.document === document ? editor.selections : [range];
+    }
+
+    provideCodeActions(document, range) {
+        try {
+            const tags = this.scanDocument(document);
+            const selections = this.getSelections(document, range);
+            const selected = tags.filter(tag => selections.some(selection => selection.isEmpty
+                ? tag.range.contains(selection.active)
+                : selection.intersection(tag.range) !== undefined));
+            if (selected.length === 0) {
+                return [];
+            }
+
+            const config = getConfiguration();
+            const resolvedKeyword = (config.get('actions.resolvedKeyword', 'DONE') || 'DONE').toUpperCase();
+            const open = tags.filter(tag => tag.keyword.toUpperCase() !== resolvedKeyword);
+            const selectedOpen = selected.filter(tag => tag.keyword.toUpperCase() !== resolvedKeyword);
+            const subject = selected.length === 1 ? selected[0].keyword : `${selected.length} tags`;
+            const actions = [];
+
+            const escalations = withoutOverlaps(selectedOpen.map(tag => getEscalationEdit(document, tag, config)));
+            if (escalations.length > 0) {
+                actions.push(this.createAction(`Escalate priority of ${subject}`, document, escalations));
+            }
+
+            if (selectedOpen.length > 0) {
+                actions.push(this.createAction(`Resolve ${subject} as ${resolvedKeyword}`, document,
+                    selectedOpen.map(tag => vscode.TextEdit.replace(getTagExtent(document, tag), getResolvedText(document, tag, config)))));
+            }
+            actions.push(this.createAction(`Resolve ${subject} by deleting it`, document,
+                withoutOverlaps(selected.map(tag => vscode.TextEdit.delete(getDeletionRange(document, tag))))));
+
+            if (open.length > selectedOpen.length) {
+                const resolveAll = this.createAction(`Resolve all ${open.length} tagged comments in file as ${resolvedKeyword}`, document,
+                    open.map(tag => vscode.TextEdit.replace(getTagExtent(document, tag), getResolvedText(document, tag, config))));
+                actions.push(resolveAll);
+            }
+
+            Object.keys(this.getKeywords())
+                .filter(keyword => !isRegexKeyword(keyword) && selected.some(tag => tag.keyword !== keyword))
+                .forEach(keyword => {
+                    actions.push(this.createAction(`Change ${subject} to ${keyword}`, document,
+                        selected.map(tag => vscode.TextEdit.replace(tag.range, getKeywordReplacement(document, tag, keyword)))));
+                });
+
+            return actions;
+        } catch (error) {
+            logError('Error providing tag code actions', error);
+            return [];
+        }
+    }
+
+    createAction(title, document, edits) {
+        const action = new vscode.CodeAction(title, ACTION_KIND);
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.set(document.uri, edits);
+        return action;
+    }
+}
+
+function registerTagActions(context, scanDocument, getKeywords) {
+    try {
+        const provider = new TagCodeActionProvider(scanDocument, getKeywords);
+        context.subscriptions.push(vscode.languages.registerCodeActionsProvider(
+            [{ scheme: 'file' }, { scheme: 'untitled' }, { scheme: 'vscode-notebook-cell' }],
+            provider,
+            { providedCodeActionKinds: [ACTION_KIND] }
+        ));
+        return provider;
+    } catch (error) {
+        logError('Failed to register tag code actions', error);
+        return null;
+    }
+}
+
+module.exports = {
+    TagCodeActionProvider,
+    registerTagActions
+};
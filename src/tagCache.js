@@ -0,0 +1,214 @@
+const { lexDocument, relexDocument } = require('./commentLexer');
+
+const MATCH_CHUNK_SIZE = 500;
+
+// Folds the content changes of one change event into a single edit span:
+// `start`/`oldEnd` in the text before the event, `newEnd` after it.
+function changeFromContentChanges(contentChanges) {
+    let start = Infinity;
+    let oldEnd = -Infinity;
+    let delta = 0;
+
+    contentChanges.forEach(change => {
+        start = Math.min(start, change.rangeOffset);
+        oldEnd = Math.max(oldEnd, change.rangeOffset + change.rangeLength);
+        delta += change.text.length - change.rangeLength;
+    });
+
+    return { start, oldEnd, newEnd: oldEnd + delta };
+}
+
+// Combines an edit span that is pending against the cached text with a newer
+// one expressed in the current text, keeping offsets relative to the cache.
+function mergeChanges(pending, next) {
+    if (!pending) {
+        return next;
+    }
+
+    const pendingDelta = pending.newEnd - pending.oldEnd;
+    const unionEnd = Math.max(pending.newEnd, next.oldEnd);
+
+    return {
+        start: Math.min(pending.start, next.start),
+        oldEnd: unionEnd === pending.newEnd ? pending.oldEnd : next.oldEnd - pendingDelta,
+        newEnd: unionEnd + (next.newEnd - next.oldEnd)
+    };
+}
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Caches lexed comments and keyword matches per document version. Edits are
+// recorded as they arrive and applied lazily, so only the edited region is
+// lexed and only new comments are matched when tags are next requested.
+class DocumentTagCache {
+    constructor() {
+        this.entries = new Map();
+        this.matcher = null;
+    }
+
+    setMatcher(matcher) {
+        this.matcher = matcher;
+        this.entries.clear();
+    }
+
+    recordChange(document, contentChanges) {
+        const entry = this.entries.get(document.uri.toString());
+        if (!entry || !contentChanges || contentChanges.length === 0) {
+            return;
+        }
+        entry.pending = mergeChanges(entry.pending, changeFromContentChanges(contentChanges));
+    }
+
+    // Comments of the cached version, available after getTags
+    getComments(document) {
+        const entry = this.entries.get(document.uri.toString());
+        return entry && entry.version === document.version ? entry.lexed.comments : null;
+    }
+
+    delete(document) {
+        this.entries.delete(document.uri.toString());
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    // Tags for text that is not tracked as an open document
+    computeTags(text, languageId) {
+        const lexed = lexDocument(text, languageId);
+        if (!lexed || !this.matcher) {
+            return null;
+        }
+        lexed.comments.forEach(comment => this.matchComment(text, comment));
+        return collectTags(lexed.comments);
+    }
+
+    getTags(document) {
+        const prepared = this.prepare(document);
+        if (!prepared) {
+            return null;
+        }
+        prepared.comments.forEach(comment => this.matchComment(prepared.text, comment));
+        return this.store(document, prepared);
+    }
+
+    // Same as getTags, but matches comments in chunks and gives up as soon as
+    // the token is cancelled (a newer edit arrived).
+    async getTagsAsync(document, token) {
+        const prepared = this.prepare(document);
+        if (!prepared) {
+            return null;
+        }
+
+        const { comments, text } = prepared;
+        for (let i = 0; i < comments.length; i++) {
+            this.matchComment(text, comments[i]);
+            if (i > 0 && i % MATCH_CHUNK_SIZE === 0) {
+                await yieldToEventLoop();
+                if (token && token.isCancellationRequested) {
+                    return null;
+                }
+            }
+        }
+
+        if ((token && token.isCancellationRequested) || document.version !== prepared.version) {
+            return null;
+        }
+        return this.store(document, prepared);
+    }
+
+    prepare(document) {
+        if (!this.matcher) {
+            return null;
+        }
+
+        const key = document.uri.toString();
+        const entry = this.entries.get(key);
+        const text = document.getText();
+
+        if (entry && entry.version === document.version && entry.languageId === document.languageId) {
+            return { cached: entry, version: entry.version, text, comments: entry.lexed.comments };
+        }
+
+        let lexed;
+        if (entry && entry.languageId === document.languageId && entry.pending) {
+            lexed = relexDocument(entry.lexed, text, entry.pending);
+        } else {
+            lexed = lexDocument(text, document.languageId);
+        }
+
+        if (!lexed) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return { version: document.version, text, lexed, comments: lexed.comments };
+    }
+
+    store(document, prepared) {
+        if (prepared.cached) {
+            return prepared.cached.tags;
+        }
+
+        const entry = {
+            version: prepared.version,
+            languageId: document.languageId,
+            lexed: prepared.lexed,
+            pending: null,
+            tags: collectTags(prepared.comments)
+        };
+        this.entries.set(document.uri.toString(), entry);
+        return entry.tags;
+    }
+
+    // Matches are stored relative to the comment start so they stay valid
+    // when the lexer shifts unchanged comments after an edit. Comments on an
+    // edited line are lexed again, so `trailing` cannot go stale.
+    matchComment(text, comment) {
+        if (!comment.matches) {
+            const lineStart = text.lastIndexOf('\n', comment.start - 1) + 1;
+            comment.matches = this.matcher.match(text.slice(comment.start, comment.end), {
+                open: comment.open,
+                trailing: /\S/.test(text.slice(lineStart, comment.start))
+            });
+        }
+    }
+}
+
+function collectTags(comments) {
+    const tags = [];
+    comments.forEach((comment, commentIndex) => {
+        comment.matches.forEach(match => {
+            const tag = {
+                keyword: match.keyword,
+                start: comment.start + match.start,
+                end: comment.start + match.end,
+                comment,
+                commentIndex
+            };
+            if (match.urgency) {
+                tag.urgency = match.urgency;
+            }
+            if (match.metadata) {
+                tag.metadata = shiftMetadata(match.metadata, comment.start);
+            }
+            tags.push(tag);
+        });
+    });
+    return tags;
+}
+
+function shiftMetadata(metadata, offset) {
+    return {
+        ...metadata,
+        start: metadata.start + offset,
+        end: metadata.end + offset,
+        fields: metadata.fields.map(field => ({ ...field, start: field.start + offset, end: field.end + offset }))
+    };
+}
+
+module.exports = {
+    DocumentTagCache
+};
@@ -0,0 +1,147 @@
+const vscode = require('vscode');
+const os = require('os');
+const path = require('path');
+const { logError } = require('./logger');
+const { getConfiguration } = require('./projectConfig');
+const { getCommentSyntax, getLanguageAt } = require('./commentLexer');
+const { isRegexKeyword } = require('./tagMatcher');
+const { getKeywordColor } = require('./keywordStyles');
+const { toHexColor } = require('./colors');
+const { BRACKETS, formatDate } = require('./tagMetadata');
+const { getGitUser } = require('./gitBlame');
+
+const OWNER_PATTERN = /^[A-Za-z][\w.-]*$/;
+
+// Keywords that can be typed literally, with their configured style
+function getInsertableKeywords(getKeywords) {
+    return Object.entries(getKeywords()).filter(([keyword]) => !isRegexKeyword(keyword));
+}
+
+function isInsideComment(comments, offset) {
+    return comments.some(comment => offset > comment.start + comment.open.length && offset <= comment.end);
+}
+
+// Suggests the configured keywords while typing inside a comment. Keywords
+// with a parseable color get a swatch in the suggestion list.
+class TagCompletionProvider {
+    constructor(tagCache, getKeywords) {
+        this.tagCache = tagCache;
+        this.getKeywords = getKeywords;
+    }
+
+    provideCompletionItems(document, position) {
+        try {
+            if (!this.tagCache.getTags(document)) {
+                return undefined;
+            }
+            const comments = this.tagCache.getComments(document);
+            if (!comments || !isInsideComment(comments, document.offsetAt(position))) {
+                return undefined;
+            }
+
+            const range = document.getWordRangeAtPosition(position, /[\w-]+/);
+            return getInsertableKeywords(this.getKeywords).map(([keyword, style]) => {
+                const color = toHexColor(getKeywordColor(style));
+                const item = new vscode.CompletionItem(keyword, color ? vscode.CompletionItemKind.Color : vscode.CompletionItemKind.Keyword);
+                item.detail = 'Comment Wizard keyword';
+                if (color) {
+                    item.documentation = color;
+                }
+                if (range) {
+                    item.range = range;
+                }
+                return item;
+            });
+        } catch (error) {
+            logError('Error providing keyword completions', error);
+            return undefined;
+        }
+    }
+}
+
+// A handle that the metadata parser classifies as an owner: the git user name
+// when it is a single word, otherwise the local part of the email address.
+// Untrusted workspaces do not run git and fall back to the OS user name.
+async function getDefaultOwner(document) {
+    if (!vscode.workspace.isTrusted) {
+        return os.userInfo().username;
+    }
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    const directory = document.uri.scheme === 'file'
+        ? path.dirname(document.uri.fsPath)
+        : folder ? folder.uri.fsPath : os.homedir();
+    const { name, email } = await getGitUser(directory);
+
+    const candidates = [name, email.split('@')[0], name.replace(/\s+/g, '.')];
+    return candidates.find(candidate => OWNER_PATTERN.test(candidate)) || os.userInfo().username;
+}
+
+function escapeSnippet(text) {
+    return text.replace(/[$}\\]/g, '\\$&');
+}
+
+async function insertTaggedComment(getKeywords) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        return;
+    }
+
+    // Inside a <script> block or fenced code the embedded language's syntax applies
+    const document = editor.document;
+    const languageId = getLanguageAt(document.getText(), document.languageId, document.offsetAt(editor.selection.active));
+    const syntax = getCommentSyntax(languageId);
+    if (!syntax || (!syntax.line && !syntax.block)) {
+        vscode.window.showWarningMessage(`Comment Wizard does not know the comment syntax of '${languageId}'`);
+        return;
+    }
+
+    const items = getInsertableKeywords(getKeywords).map(([keyword]) => ({ label: keyword }));
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Select a keyword' });
+    if (!picked) {
+        return;
+    }
+
+    const config = getConfiguration();
+    let metadata = '';
+    if (config.get('metadata.enabled', true)) {
+        const [open, close] = BRACKETS[config.get('metadata.brackets', '()')] || BRACKETS['()'];
+        const separator = config.get('metadata.separator', ',') || ',';
+        const owner = await getDefaultOwner(document);
+        metadata = `${escapeSnippet(open)}\${1:${escapeSnippet(owner)}}${escapeSnippet(separator)} \${2:${formatDate(new Date())}}${escapeSnippet(close)}`;
+    }
+
+    const [start, end] = syntax.line ? [syntax.line, ''] : [syntax.block[0], ` ${syntax.block[1]}`];
+    const body = `${escapeSnippet(start)} ${escapeSnippet(picked.label)}${metadata}: $0${escapeSnippet(end)}`;
+
+    // Blank lines get the comment at the cursor, other lines a trailing one
+    const line = document.lineAt(editor.selection.active.line);
+    const position = line.isEmptyOrWhitespace ? editor.selection.active : line.range.end;
+    const snippet = line.isEmptyOrWhitespace || /\s$/.test(line.text) ? body : ` ${body}`;
+    await editor.insertSnippet(new vscode.SnippetString(snippet), position);
+}
+
+function registerTagCompletion(context, tagCache, getKeywords) {
+    try {
+        const provider = new TagCompletionProvider(tagCache, getKeywords);
+        context.subscriptions.push(
+            vscode.languages.registerCompletionItemProvider([{ scheme: 'file' }, { scheme: 'untitled' }, { scheme: 'vscode-notebook-cell' }], provider),
+            vscode.commands.registerCommand('commentWizard.insertTaggedComment', async () => {
+                try {
+                    await insertTaggedComment(getKeywords);
+                } catch (error) {
+                    logError('Error inserting tagged comment', error);
+                    vscode.window.showErrorMessage('Failed to insert tagged comment. See output for details.');
+                }
+            })
+        );
+        return provider;
+    } catch (error) {
+        logError('Failed to register keyword completions', error);
+        return null;
+    }
+}
+
+module.exports = {
+    TagCompletionProvider,
+    registerTagCompletion
+};
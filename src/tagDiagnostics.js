@@ -0,0 +1,190 @@
+const vscode = require('vscode');
+const { logError } = require('./logger');
+const { getConfiguration } = require('./projectConfig');
+const { getOverdueDays } = require('./tagMetadata');
+
+const UPDATE_DELAY = 300;
+
+const SEVERITIES = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint
+};
+
+// Problems entries for tagged comments. Open documents are checked as they
+// change; with the workspace scope the rest comes from the tag index.
+class TagDiagnostics {
+    constructor(index, scanDocument) {
+        this.index = index;
+        this.scanDocument = scanDocument;
+        this.collection = vscode.languages.createDiagnosticCollection('commentWizard');
+        this.updateTimers = new Map();
+        this.disposables = [];
+        this.loadSettings();
+        this.registerListeners();
+        this.refresh();
+    }
+
+    loadSettings() {
+        const config = getConfiguration();
+        const severities = config.get('diagnostics.severity', {}) || {};
+        this.severities = new Map();
+        Object.entries(severities).forEach(([keyword, severity]) => {
+            if (typeof severity === 'string' && SEVERITIES[severity.toLowerCase()] !== undefined) {
+                this.severities.set(keyword.toUpperCase(), SEVERITIES[severity.toLowerCase()]);
+            }
+        });
+        this.workspaceScope = config.get('diagnostics.scope', 'openDocuments') === 'workspace';
+    }
+
+    get enabled() {
+        return this.severities.size > 0;
+    }
+
+    registerListeners() {
+        vscode.workspace.onDidOpenTextDocument(document => this.updateDocument(document), null, this.disposables);
+        vscode.workspace.onDidChangeTextDocument(event => this.scheduleUpdate(event.document), null, this.disposables);
+        vscode.workspace.onDidCloseTextDocument(document => this.handleClose(document), null, this.disposables);
+        this.disposables.push(this.index.onDidChange(() => this.updateWorkspace()));
+    }
+
+    // Settings changed, or the keyword matcher was rebuilt
+    refresh() {
+        try {
+            this.loadSettings();
+            this.collection.clear();
+            if (!this.enabled) {
+                return;
+            }
+            if (this.workspaceScope) {
+                this.index.ensureScanned()
+                    .then(() => this.updateWorkspace())
+                    .catch(error => logError('Error scanning workspace for diagnostics', error));
+            }
+            vscode.workspace.textDocuments.forEach(document => this.updateDocument(document));
+        } catch (error) {
+            logError('Error refreshing tag diagnostics', error);
+        }
+    }
+
+    scheduleUpdate(document) {
+        const key = document.uri.toString();
+        if (this.updateTimers.has(key)) {
+            clearTimeout(this.updateTimers.get(key));
+        }
+        this.updateTimers.set(key, setTimeout(() => {
+            this.updateTimers.delete(key);
+            this.updateDocument(document);
+        }, UPDATE_DELAY));
+    }
+
+    isOpen(uri) {
+        const key = uri.toString();
+        return vscode.workspace.textDocuments.some(document => document.uri.toString() === key);
+    }
+
+    updateDocument(document) {
+        try {
+            if (!this.enabled || document.isClosed || !['file', 'untitled', 'vscode-notebook-cell'].includes(document.uri.scheme)) {
+                return;
+            }
+            const diagnostics = this.scanDocument(document)
+                .map(tag => this.createDiagnostic(tag, document.lineAt(tag.range.start.line).text.slice(tag.range.start.character)))
+                .filter(Boolean);
+            this.collection.set(document.uri, diagnostics);
+        } catch (error) {
+            logError(`Error updating diagnostics for ${document.uri.fsPath}`, error);
+        }
+    }
+
+    handleClose(document) {
+        const key = document.uri.toString();
+        if (this.updateTimers.has(key)) {
+            clearTimeout(this.updateTimers.get(key));
+            this.updateTimers.delete(key);
+        }
+        if (!this.workspaceScope) {
+            this.collection.delete(document.uri);
+            return;
+        }
+
+        // Fall back to the indexed copy, which reflects the file on disk
+        const tags = this.index.getTags().filter(tag => tag.uri.toString() === key);
+        this.collection.set(document.uri, tags.map(tag => this.createDiagnostic(tag, tag.text)).filter(Boolean));
+    }
+
+    // Files open in an editor keep the diagnostics of their live contents
+    updateWorkspace() {
+        try {
+            if (!this.enabled || !this.workspaceScope) {
+                return;
+            }
+
+            const byFile = new Map();
+            this.index.getTags().forEach(tag => {
+                // Notebook tags are reported on their cells while the notebook is open
+                if (this.isOpen(tag.uri) || tag.cellIndex !== undefined) return;
+                const key = tag.uri.toString();
+                if (!byFile.has(key)) {
+                    byFile.set(key, { uri: tag.uri, diagnostics: [] });
+                }
+                const diagnostic = this.createDiagnostic(tag, tag.text);
+                if (diagnostic) {
+                    byFile.get(key).diagnostics.push(diagnostic);
+                }
+            });
+
+            this.collection.forEach(uri => {
+                if (!byFile.has(uri.toString()) && !this.isOpen(uri)) {
+                    this.collection.delete(uri);
+                }
+            });
+            byFile.forEach(({ uri, diagnostics }) => this.collection.set(uri, diagnostics));
+        } catch (error) {
+            logError('Error updating workspace diagnostics', error);
+        }
+    }
+
+    createDiagnostic(tag, text) {
+        const severity = this.severities.get(tag.keyword.toUpperCase());
+        if (severity === undefined) {
+            return null;
+        }
+
+        let message = (text || tag.keyword).replace(/\s*(\*\/|-->)\s*$/, '').trim();
+        const overdueDays = getOverdueDays(tag.metadata);
+        if (overdueDays > 0) {
+            message += ` (overdue by ${overdueDays} day${overdueDays === 1 ? '' : 's'})`;
+        }
+
+        const diagnostic = new vscode.Diagnostic(tag.range, message, severity);
+        diagnostic.source = 'Comment Wizard';
+        diagnostic.code = tag.keyword;
+        return diagnostic;
+    }
+
+    dispose() {
+        this.updateTimers.forEach(timer => clearTimeout(timer));
+        this.updateTimers.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+        this.collection.dispose();
+    }
+}
+
+function registerTagDiagnostics(context, index, scanDocument) {
+    try {
+        const diagnostics = new TagDiagnostics(index, scanDocument);
+        context.subscriptions.push(diagnostics);
+        return diagnostics;
+    } catch (error) {
+        logError('Failed to register tag diagnostics', error);
+        return null;
+    }
+}
+
+module.exports = {
+    TagDiagnostics,
+    registerTagDiagnostics
+};
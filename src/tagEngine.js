@@ -0,0 +1,289 @@
+// Keyword configuration and tag matching without the editor API, shared by
+// the extension and the command line scanner. Settings come from any object
+// with a get(key, defaultValue) method, such as a VS Code configuration.
+
+const { createKeywordMatcher, isRegexKeyword, isSymbolKeyword } = require('./tagMatcher');
+const { validatePattern, DEFAULT_TIME_BUDGET } = require('./regexRules');
+const { createMetadataParser, withMetadata } = require('./tagMetadata');
+const { compilePositionRules, withPositionRules } = require('./tagPosition');
+const { validateKeywordStyle } = require('./keywordStyles');
+const { DocumentTagCache } = require('./tagCache');
+const { normalizeCommentSyntax, setLanguageSyntaxes } = require('./commentLexer');
+const { setFileLanguages } = require('./fileLanguages');
+
+const DEFAULT_KEYWORDS = {
+    "TODO": "#00BFFF",
+    "FIXME": "#FF4500",
+    "NOTE": "#32CD32",
+    "WARNING": "#FFD700",
+    "HACK": "#9932CC",
+    "BUG": "#FF0000",
+    "REVIEW": "#FF69B4",
+    "DEPRECATED": "#808080"
+};
+
+function getDefaultKeywords() {
+    return { ...DEFAULT_KEYWORDS };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Looks up "a.b" as a dotted key first, then as nested objects
+function lookupSetting(values, key) {
+    if (!isPlainObject(values)) {
+        return undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(values, key)) {
+        return values[key];
+    }
+    let value = values;
+    for (const part of key.split('.')) {
+        if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, part)) {
+            return undefined;
+        }
+        value = value[part];
+    }
+    return value;
+}
+
+// Objects such as keyword maps merge by key; anything else replaces
+function layerSetting(base, value) {
+    if (value === undefined) {
+        return base;
+    }
+    if (isPlainObject(base) && isPlainObject(value)) {
+        return { ...base, ...value };
+    }
+    return value;
+}
+
+function mergeKeywords(settings, onError = () => {}) {
+    try {
+        const keywords = settings.get('keywords', getDefaultKeywords());
+        const customKeywords = settings.get('customKeywords', {});
+
+        // Validate that both are objects
+        if (typeof keywords !== 'object' || typeof customKeywords !== 'object') {
+            onError('Keywords are not objects, using defaults');
+            return getDefaultKeywords();
+        }
+
+        return { ...keywords, ...customKeywords };
+    } catch (error) {
+        onError('Error merging keywords', error);
+        return getDefaultKeywords();
+    }
+}
+
+function validateKeyword(keyword, style, minLength, onError = () => {}, allowRegex = false) {
+    // Validate keyword; symbol keywords such as `!` are exempt from the minimum length
+    if (typeof keyword !== 'string' || (keyword.length < minLength && !isSymbolKeyword(keyword))) {
+        onError(`Invalid keyword: '${keyword}' (too short)`);
+        return false;
+    }
+
+    // `/pattern/` keywords when enableRegexKeywords is on, otherwise a word or
+    // a run of symbols such as `!` or `>>`
+    if (allowRegex && isRegexKeyword(keyword)) {
+        const patternError = validatePattern(keyword.slice(1, -1));
+        if (patternError) {
+            onError(`Invalid regex keyword '${keyword}': ${patternError}`);
+            return false;
+        }
+    } else if (!/^[a-zA-Z0-9_-]+$/.test(keyword) && !isSymbolKeyword(keyword)) {
+        onError(`Invalid keyword: '${keyword}' (contains invalid characters)`);
+        return false;
+    }
+
+    // Validate color string or style object
+    const styleError = validateKeywordStyle(style);
+    if (styleError) {
+        onError(`Invalid style for keyword '${keyword}': ${styleError}`);
+        return false;
+    }
+
+    return true;
+}
+
+function validateKeywords(keywords, settings, onError = () => {}) {
+    try {
+        const minLength = settings.get('minKeywordLength', 2);
+        const maxKeywords = settings.get('maxKeywords', 50);
+        const allowRegex = settings.get('enableRegexKeywords', false);
+
+        const validKeywords = {};
+        let count = 0;
+
+        for (const [keyword, style] of Object.entries(keywords)) {
+            if (count >= maxKeywords) {
+                onError(`Maximum keywords (${maxKeywords}) exceeded, ignoring '${keyword}'`);
+                break;
+            }
+
+            if (validateKeyword(keyword, style, minLength, onError, allowRegex)) {
+                validKeywords[keyword] = style;
+                count++;
+            }
+        }
+
+        return validKeywords;
+    } catch (error) {
+        onError('Error validating keywords', error);
+        return getDefaultKeywords();
+    }
+}
+
+// Other spellings of each keyword as { alias: keyword }. An alias must be a
+// word or symbol that is not a keyword itself and belongs to one keyword only.
+function compileKeywordAliases(keywords, settings, onError = () => {}) {
+    const configured = settings.get('keywordAliases', {});
+    const aliases = {};
+    if (!isPlainObject(configured)) {
+        if (configured !== undefined && configured !== null) {
+            onError('keywordAliases must map keywords to lists of aliases');
+        }
+        return aliases;
+    }
+
+    Object.entries(configured).forEach(([keyword, list]) => {
+        if (!Object.prototype.hasOwnProperty.call(keywords, keyword)) {
+            onError(`Aliases given for '${keyword}', which is not a keyword`);
+            return;
+        }
+        if (!Array.isArray(list)) {
+            onError(`Aliases of '${keyword}' must be a list`);
+            return;
+        }
+        list.forEach(alias => {
+            if (typeof alias !== 'string' || !(/^[a-zA-Z0-9_-]+$/.test(alias) || isSymbolKeyword(alias))) {
+                onError(`Invalid alias '${alias}' for '${keyword}' (contains invalid characters)`);
+            } else if (Object.prototype.hasOwnProperty.call(keywords, alias)) {
+                onError(`Alias '${alias}' of '${keyword}' is a keyword itself`);
+            } else if (aliases[alias] !== undefined && aliases[alias] !== keyword) {
+                onError(`Alias '${alias}' is claimed by both '${aliases[alias]}' and '${keyword}'`);
+            } else {
+                aliases[alias] = keyword;
+            }
+        });
+    });
+    return aliases;
+}
+
+// One combined matcher for all keywords and their aliases, with metadata
+// parsing and position rules when configured. onRegexDisable(keyword, message)
+// reports a regex keyword disabled for running over the time budget.
+function createTagMatcher(keywords, settings, onError = () => {}, onRegexDisable = (keyword, message) => onError(message)) {
+    const timeBudget = settings.get('regexTimeBudget', DEFAULT_TIME_BUDGET);
+    let matcher = createKeywordMatcher(Object.keys(keywords), {
+        caseSensitive: settings.get('caseSensitive', false),
+        enableRegex: settings.get('enableRegexKeywords', false),
+        regexTimeBudget: timeBudget,
+        onRegexDisable: (rule, elapsed) => onRegexDisable(rule.name,
+            `Regex keyword '${rule.name}' took ${elapsed} ms on one comment, over the ${timeBudget} ms budget (commentWizard.regexTimeBudget), and was disabled`),
+        aliases: compileKeywordAliases(keywords, settings, onError),
+        atPrefix: settings.get('atPrefix', true),
+        urgencySuffix: settings.get('urgency.enabled', true)
+    });
+    matcher.errors.forEach(({ keyword, error }) => onError(`Invalid regex keyword '${keyword}'`, error));
+
+    if (settings.get('metadata.enabled', true)) {
+        const parseMetadata = createMetadataParser({
+            brackets: settings.get('metadata.brackets', '()'),
+            separator: settings.get('metadata.separator', ','),
+            patterns: settings.get('metadata.patterns', {}),
+            onError: (kind, error) => onError(`Invalid metadata pattern for '${kind}'`, error)
+        });
+        matcher = withMetadata(matcher, parseMetadata);
+    }
+
+    // Position rules look at the metadata, so they filter last
+    const getPositionRules = compilePositionRules(settings, onError);
+    if (getPositionRules) {
+        matcher = withPositionRules(matcher, getPositionRules);
+    }
+    return matcher;
+}
+
+// Scans whole texts with the configured keywords; returns null for languages
+// the lexer does not know.
+function createTagScanner(settings, onError = () => {}) {
+    const keywords = validateKeywords(mergeKeywords(settings, onError), settings, onError);
+    const cache = new DocumentTagCache();
+    cache.setMatcher(createTagMatcher(keywords, settings, onError));
+
+    return {
+        keywords,
+        scan: (text, languageId) => cache.computeTags(text, languageId)
+    };
+}
+
+// Splits language definitions ({ languageId: { lineComment, blockComment,
+// nestedBlockComments, strings, extensions, filenames } }) into comment
+// syntaxes for the lexer and file associations for workspace scanning
+function compileLanguageDefinitions(definitions, onError = () => {}) {
+    const syntaxes = {};
+    const associations = {};
+    if (!isPlainObject(definitions)) {
+        return { syntaxes, associations };
+    }
+
+    Object.entries(definitions).forEach(([languageId, definition]) => {
+        const { syntax, errors } = normalizeCommentSyntax(definition);
+        errors.forEach(message => onError(`Invalid comment syntax for language '${languageId}': ${message}`));
+        if (!syntax) {
+            return;
+        }
+        syntaxes[languageId] = syntax;
+        const strings = value => (Array.isArray(value) ? value : []).filter(item => typeof item === 'string' && item.length > 0);
+        associations[languageId] = { extensions: strings(definition.extensions), filenames: strings(definition.filenames) };
+    });
+    return { syntaxes, associations };
+}
+
+// Installs the `languages` setting as the user layer of comment syntaxes
+function applyLanguageSettings(settings, onError = () => {}) {
+    const { syntaxes, associations } = compileLanguageDefinitions(settings.get('languages', {}), onError);
+    setLanguageSyntaxes('user', syntaxes);
+    setFileLanguages('user', associations);
+}
+
+// Offset at which each line of text starts
+function getLineStarts(text) {
+    const starts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+        starts.push(i + 1);
+    }
+    return starts;
+}
+
+// 0-based line and column of an offset; lineStarts from getLineStarts
+function positionAt(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return { line: low, character: offset - lineStarts[low] };
+}
+
+module.exports = {
+    getDefaultKeywords,
+    lookupSetting,
+    layerSetting,
+    mergeKeywords,
+    validateKeywords,
+    compileKeywordAliases,
+    createTagMatcher,
+    createTagScanner,
+    compileLanguageDefinitions,
+    applyLanguageSettings,
+    getLineStarts,
+    positionAt
+};
@@ -0,0 +1,116 @@
+const vscode = require('vscode');
+const { logError } = require('./logger');
+const { getConfiguration } = require('./projectConfig');
+const { isLanguageSupported } = require('./commentLexer');
+const { getOverdueDays, formatDate } = require('./tagMetadata');
+const { formatAge } = require('./gitBlame');
+
+const FIELD_LABELS = {
+    owner: 'Owner',
+    due: 'Due',
+    priority: 'Priority',
+    issue: 'Issue'
+};
+
+function escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_{}[\]()#+\-.!|<>]/g, '\\$&');
+}
+
+class TagHoverProvider {
+    constructor(tagCache, blameCache) {
+        this.tagCache = tagCache;
+        this.blameCache = blameCache;
+    }
+
+    async provideHover(document, position) {
+        try {
+            const config = getConfiguration();
+            const showMetadata = config.get('metadata.showHover', true);
+            const showBlame = config.get('blame.enabled', true) && document.uri.scheme === 'file';
+            if ((!showMetadata && !showBlame) || !isLanguageSupported(document.languageId)) {
+                return null;
+            }
+
+            const tags = this.tagCache.getTags(document);
+            if (!tags) {
+                return null;
+            }
+
+            const offset = document.offsetAt(position);
+            const tag = tags.find(candidate => {
+                const end = candidate.metadata ? candidate.metadata.end : candidate.end;
+                return offset >= candidate.start && offset <= end;
+            });
+            if (!tag) {
+                return null;
+            }
+
+            const metadata = showMetadata ? tag.metadata : null;
+            const line = showBlame ? await this.getBlameLine(document, tag.start) : null;
+            if (!metadata && !line) {
+                return null;
+            }
+
+            const end = tag.metadata ? tag.metadata.end : tag.end;
+            const range = new vscode.Range(document.positionAt(tag.start), document.positionAt(end));
+            return new vscode.Hover(this.buildContent(tag, metadata, line), range);
+        } catch (error) {
+            logError('Error providing tag hover', error);
+            return null;
+        }
+    }
+
+    // Unsaved documents are blamed with their current contents so lines match
+    async getBlameLine(document, offset) {
+        if (!this.blameCache) {
+            return null;
+        }
+        const blame = await this.blameCache.getBlame(document.uri.fsPath, document.isDirty ? document.getText() : undefined);
+        return blame ? blame.get(document.positionAt(offset).line + 1) || null : null;
+    }
+
+    buildContent(tag, metadata, line) {
+        const markdown = new vscode.MarkdownString();
+        const overdueDays = getOverdueDays(metadata);
+
+        markdown.appendMarkdown(`**${escapeMarkdown(tag.keyword)}**`);
+        if (overdueDays > 0) {
+            markdown.appendMarkdown(` · overdue by ${overdueDays} day${overdueDays === 1 ? '' : 's'}`);
+        }
+
+        if (metadata) {
+            markdown.appendMarkdown('\n\n| | |\n|---|---|\n');
+            metadata.fields.forEach(field => {
+                const label = FIELD_LABELS[field.kind] || 'Other';
+                markdown.appendMarkdown(`| ${label} | ${escapeMarkdown(field.value)} |\n`);
+            });
+        }
+
+        if (line && line.uncommitted) {
+            markdown.appendMarkdown('\n\n_Not committed yet_');
+        } else if (line) {
+            markdown.appendMarkdown(`\n\n${escapeMarkdown(line.author)} · ${formatDate(line.date)} (${formatAge(line.date)})`);
+            if (line.summary) {
+                markdown.appendMarkdown(`\n\n${escapeMarkdown(line.commit.slice(0, 8))} ${escapeMarkdown(line.summary)}`);
+            }
+        }
+
+        return markdown;
+    }
+}
+
+function registerTagHover(context, tagCache, blameCache) {
+    try {
+        const provider = new TagHoverProvider(tagCache, blameCache);
+        context.subscriptions.push(vscode.languages.registerHoverProvider('*', provider));
+        return provider;
+    } catch (error) {
+        logError('Failed to register tag hover', error);
+        return null;
+    }
+}
+
+module.exports = {
+    TagHoverProvider,
+    registerTagHover
+};
@@ -0,0 +1,55 @@
+const vscode = require('vscode');
+
+// Tags found in notebooks carry `cellIndex`, and their range is relative to
+// that cell. These helpers order, describe and open tags of both kinds.
+
+function compareTagPositions(a, b) {
+    return (a.cellIndex || 0) - (b.cellIndex || 0) || a.range.start.compareTo(b.range.start);
+}
+
+function formatTagLine(tag) {
+    const line = `Ln ${tag.range.start.line + 1}`;
+    return tag.cellIndex === undefined ? line : `Cell ${tag.cellIndex + 1} · ${line}`;
+}
+
+function formatTagLocation(tag) {
+    const file = vscode.workspace.asRelativePath(tag.uri);
+    const cell = tag.cellIndex === undefined ? '' : ` cell ${tag.cellIndex + 1}`;
+    return `${file}${cell}:${tag.range.start.line + 1}`;
+}
+
+// Opens the tag's file, or its notebook with the cell revealed and the tag selected
+async function showTag(tag, { preview = false, preserveFocus = false } = {}) {
+    if (tag.cellIndex === undefined) {
+        return vscode.window.showTextDocument(tag.uri, { selection: tag.range, preview, preserveFocus });
+    }
+
+    const notebook = await vscode.workspace.openNotebookDocument(tag.uri);
+    const cellRange = new vscode.NotebookRange(tag.cellIndex, tag.cellIndex + 1);
+    const notebookEditor = await vscode.window.showNotebookDocument(notebook, { preview, preserveFocus, selections: [cellRange] });
+    notebookEditor.revealRange(cellRange, vscode.NotebookEditorRevealType.InCenterIfOutsideViewport);
+    if (preserveFocus || tag.cellIndex >= notebook.cellCount) {
+        return notebookEditor;
+    }
+    return vscode.window.showTextDocument(notebook.cellAt(tag.cellIndex).document, {
+        selection: tag.range,
+        viewColumn: notebookEditor.viewColumn
+    });
+}
+
+// The notebook a cell document belongs to, if any
+function findNotebookForCell(document) {
+    if (document.uri.scheme !== 'vscode-notebook-cell') {
+        return null;
+    }
+    return vscode.workspace.notebookDocuments.find(notebook =>
+        notebook.getCells().some(cell => cell.document === document)) || null;
+}
+
+module.exports = {
+    compareTagPositions,
+    formatTagLine,
+    formatTagLocation,
+    showTag,
+    findNotebookForCell
+};
@@ -0,0 +1,176 @@
+// Keyword matching for comment text. All plain keywords are combined into a
+// single alternation so each comment is searched once, regardless of how many
+// keywords are configured. Symbol keywords such as `!` or `>>` only count at
+// the start of a comment, right after its opening delimiter.
+//
+// Aliases map other spellings to a canonical keyword, which is what matches
+// report. Word keywords may be written as `@todo`, and trailing `!`s such as
+// `TODO!!` give a match an urgency level (the number of `!`s).
+//
+// `/pattern/` keywords run under the same time budget as regexPatterns rules:
+// one that overruns options.regexTimeBudget is stopped and disabled, and
+// options.onRegexDisable(rule, elapsed) reports it.
+
+const { getDocCommentOpener } = require('./tagPosition');
+const { RegexRuleSet, getRuleStyleKey } = require('./regexRules');
+
+// Characters symbol keywords are made of. Slashes, quotes, brackets and
+// dashes are left out: they make up comment delimiters and metadata.
+const SYMBOL_CLASS = '[!?*>@#$%&~+=^|]';
+const SYMBOL_KEYWORD = new RegExp(`^${SYMBOL_CLASS}+$`);
+const SYMBOL_CHARACTER = new RegExp(SYMBOL_CLASS);
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isRegexKeyword(keyword) {
+    // Check if keyword starts and ends with / indicating regex
+    return typeof keyword === 'string' && keyword.startsWith('/') && keyword.endsWith('/') && keyword.length > 2;
+}
+
+function isSymbolKeyword(keyword) {
+    return typeof keyword === 'string' && SYMBOL_KEYWORD.test(keyword);
+}
+
+// `\b` only separates word characters, so symbol keywords get the same
+// boundary against neighbouring symbols: `!` does not match inside `!!`
+function createSymbolMatcher(symbols, lookup) {
+    if (symbols.length === 0) {
+        return null;
+    }
+    const alternatives = symbols.slice().sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const regex = new RegExp(`(?:${alternatives.join('|')})(?!${SYMBOL_CLASS})`, 'y');
+
+    // The symbol must be the first thing on the delimiter's line, and the
+    // delimiter must not end in a symbol itself: `/** doc` is not a `*` tag,
+    // `/* * note` is. Doc comment openers (`//!`, `///`, `/*!`) and `#!`
+    // shebangs are delimiters as a whole.
+    return (text, open) => {
+        const delimiter = getDocCommentOpener(text) || (open === '#' && text.startsWith('#!') ? '#!' : open);
+        let start = delimiter.length;
+        while (start < text.length && (text[start] === ' ' || text[start] === '\t')) {
+            start++;
+        }
+        if (start > 0 && SYMBOL_CHARACTER.test(text[start - 1])) {
+            return null;
+        }
+        regex.lastIndex = start;
+        const result = regex.exec(text);
+        return result ? { keyword: lookup.get(result[0]), start, end: start + result[0].length } : null;
+    };
+}
+
+function createKeywordMatcher(keywords, options = {}) {
+    const caseSensitive = options.caseSensitive === true;
+    const enableRegex = options.enableRegex === true;
+    const atPrefix = options.atPrefix !== false;
+    const urgencySuffix = options.urgencySuffix !== false;
+    const aliases = options.aliases || {};
+    const flags = caseSensitive ? 'g' : 'gi';
+
+    const plain = [];
+    const symbols = [];
+    const regexRules = [];
+    const errors = [];
+    const canonical = new Map();
+
+    keywords.concat(Object.keys(aliases)).forEach(keyword => {
+        if (!canonical.has(keyword)) {
+            canonical.set(keyword, aliases[keyword] || keyword);
+        }
+    });
+
+    Array.from(canonical.keys()).forEach(keyword => {
+        if (enableRegex && isRegexKeyword(keyword)) {
+            try {
+                // Shaped like a regexPatterns rule so it runs under the same time budget
+                regexRules.push({
+                    index: regexRules.length,
+                    name: keyword,
+                    regex: new RegExp(keyword.slice(1, -1), `${flags}d`),
+                    scope: 'file',
+                    styles: new Map([['match', null]])
+                });
+            } catch (error) {
+                errors.push({ keyword, error });
+            }
+        } else if (isSymbolKeyword(keyword)) {
+            symbols.push(keyword);
+        } else {
+            plain.push(keyword);
+        }
+    });
+    const matchSymbol = createSymbolMatcher(symbols, canonical);
+    const regexKeywords = regexRules.length > 0
+        ? new RegexRuleSet(regexRules, { timeBudget: options.regexTimeBudget, onDisable: options.onRegexDisable })
+        : null;
+
+    // Canonical keyword for each spelling, lowercased for case-insensitive
+    // hits; the first keyword wins
+    const lookup = new Map();
+    plain.forEach(keyword => {
+        const key = caseSensitive ? keyword : keyword.toLowerCase();
+        if (!lookup.has(key)) {
+            lookup.set(key, canonical.get(keyword));
+        }
+    });
+
+    // Longest first so overlapping keywords (FIX / FIXME) prefer the longer one
+    const alternatives = plain
+        .slice()
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+    const prefix = atPrefix ? '(@?)' : '()';
+    const suffix = urgencySuffix ? '(!*)' : '()';
+    const combined = alternatives.length > 0
+        ? new RegExp(`${prefix}\\b(${alternatives.join('|')})\\b${suffix}`, flags)
+        : null;
+
+    // Symbol keywords need the comment's opening delimiter from the context
+    function match(text, context = {}) {
+        const matches = [];
+
+        if (combined) {
+            combined.lastIndex = 0;
+            let result;
+            while ((result = combined.exec(text)) !== null) {
+                const key = caseSensitive ? result[2] : result[2].toLowerCase();
+                const match = { keyword: lookup.get(key), start: result.index, end: result.index + result[0].length };
+                if (result[3].length > 0) {
+                    match.urgency = result[3].length;
+                }
+                matches.push(match);
+            }
+        }
+
+        // `@todo` at the start of a comment is a word keyword, not an `@` symbol
+        const symbol = matchSymbol && matchSymbol(text, context.open || '');
+        if (symbol && !(matches.length > 0 && matches[0].start === symbol.start)) {
+            matches.unshift(symbol);
+        }
+
+        if (regexKeywords) {
+            const ranges = regexKeywords.match(text, null, 'a comment');
+            regexRules.forEach(rule => {
+                (ranges.get(getRuleStyleKey(rule, 'match')) || []).forEach(range => {
+                    matches.push({ keyword: rule.name, start: range.start, end: range.end });
+                });
+            });
+        }
+
+        if (regexRules.length > 0) {
+            matches.sort((a, b) => a.start - b.start);
+        }
+        return matches;
+    }
+
+    return { match, errors };
+}
+
+module.exports = {
+    createKeywordMatcher,
+    escapeRegExp,
+    isRegexKeyword,
+    isSymbolKeyword
+};
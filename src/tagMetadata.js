@@ -0,0 +1,156 @@
+// Parses the optional metadata block that may follow a keyword, e.g.
+// `TODO(alice, 2026-11-01, #482): ...`. Fields are classified by an explicit
+// `key: value` / `key=value` prefix or, failing that, by the configured
+// patterns. Offsets are relative to the text handed to the parser.
+
+const FIELD_KINDS = ['owner', 'due', 'priority', 'issue'];
+
+// Patterns are tried in this order, so the catch-all owner pattern goes last
+const CLASSIFY_ORDER = ['due', 'issue', 'priority', 'owner'];
+
+const DEFAULT_PATTERNS = {
+    owner: '^@?[A-Za-z][\\w.-]*$',
+    due: '^\\d{4}-\\d{2}-\\d{2}$',
+    priority: '^(?:[Pp][0-4]|low|medium|high|critical)$',
+    issue: '^(?:#\\d+|[A-Z][A-Z0-9]+-\\d+|https?://\\S+)$'
+};
+
+const FIELD_ALIASES = {
+    owner: 'owner',
+    by: 'owner',
+    assignee: 'owner',
+    due: 'due',
+    date: 'due',
+    deadline: 'due',
+    priority: 'priority',
+    prio: 'priority',
+    p: 'priority',
+    issue: 'issue',
+    ticket: 'issue',
+    ref: 'issue'
+};
+
+const BRACKETS = {
+    '()': ['(', ')'],
+    '[]': ['[', ']'],
+    '{}': ['{', '}']
+};
+
+function compilePatterns(patterns, onError) {
+    const compiled = {};
+    FIELD_KINDS.forEach(kind => {
+        const source = patterns && typeof patterns[kind] === 'string' ? patterns[kind] : DEFAULT_PATTERNS[kind];
+        try {
+            compiled[kind] = new RegExp(source);
+        } catch (error) {
+            if (onError) {
+                onError(kind, error);
+            }
+            compiled[kind] = new RegExp(DEFAULT_PATTERNS[kind]);
+        }
+    });
+    return compiled;
+}
+
+function createMetadataParser(options = {}) {
+    const [open, close] = BRACKETS[options.brackets] || BRACKETS['()'];
+    const separator = typeof options.separator === 'string' && options.separator.length > 0 ? options.separator : ',';
+    const patterns = compilePatterns(options.patterns, options.onError);
+
+    function classify(value) {
+        const explicit = /^([A-Za-z]+)\s*[=:]\s*(.+)$/.exec(value);
+        if (explicit && FIELD_ALIASES[explicit[1].toLowerCase()]) {
+            return { kind: FIELD_ALIASES[explicit[1].toLowerCase()], value: explicit[2].trim() };
+        }
+        const kind = CLASSIFY_ORDER.find(candidate => patterns[candidate].test(value));
+        return { kind: kind || null, value };
+    }
+
+    return function parse(text, index) {
+        if (text[index] !== open) {
+            return null;
+        }
+
+        const closeIndex = text.indexOf(close, index + 1);
+        if (closeIndex === -1) {
+            return null;
+        }
+
+        const inner = text.slice(index + 1, closeIndex);
+        if (inner.includes('\n')) {
+            return null;
+        }
+
+        const metadata = { start: index, end: closeIndex + 1, fields: [] };
+        let offset = index + 1;
+
+        inner.split(separator).forEach(part => {
+            const value = part.trim();
+            const start = offset + (part.length - part.trimStart().length);
+            offset += part.length + separator.length;
+            if (!value) {
+                return;
+            }
+
+            const field = classify(value);
+            metadata.fields.push({ kind: field.kind, value: field.value, start, end: start + value.length });
+            if (field.kind && metadata[field.kind] === undefined) {
+                metadata[field.kind] = field.value;
+            }
+        });
+
+        return metadata.fields.length > 0 ? metadata : null;
+    };
+}
+
+// Wraps a keyword matcher so every match also carries its parsed metadata
+function withMetadata(matcher, parse) {
+    return {
+        ...matcher,
+        match(text, context) {
+            const matches = matcher.match(text, context);
+            matches.forEach(match => {
+                const metadata = parse(text, match.end);
+                if (metadata) {
+                    match.metadata = metadata;
+                }
+            });
+            return matches;
+        }
+    };
+}
+
+function formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDueDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return formatDate(date) === value ? date : null;
+}
+
+// Whole days the due date lies in the past, or 0 when not overdue
+function getOverdueDays(metadata, today = new Date()) {
+    const due = metadata ? parseDueDate(metadata.due) : null;
+    if (!due) {
+        return 0;
+    }
+    const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    return Math.max(0, Math.round((midnight - due) / 86400000));
+}
+
+module.exports = {
+    FIELD_KINDS,
+    DEFAULT_PATTERNS,
+    BRACKETS,
+    createMetadataParser,
+    withMetadata,
+    formatDate,
+    parseDueDate,
+    getOverdueDays
+};
@@ -0,0 +1,160 @@
+const vscode = require('vscode');
+const { logError } = require('./logger');
+const { compareTagPositions, formatTagLocation, showTag, findNotebookForCell } = require('./tagLocations');
+
+// Keybindings can restrict navigation with { "keyword": "BUG" } or
+// { "keywords": ["BUG", "FIXME"] } as command arguments.
+function getKeywordFilter(args) {
+    if (!args) {
+        return null;
+    }
+    const keywords = typeof args === 'string' ? [args] : [].concat(args.keywords || args.keyword || []);
+    return keywords.length > 0 ? new Set(keywords.map(keyword => String(keyword).toUpperCase())) : null;
+}
+
+// Tags of the editor's document, or of every cell when it is a notebook cell
+function getNavigableTags(document, scanDocument) {
+    const notebook = findNotebookForCell(document);
+    if (!notebook) {
+        return scanDocument(document).map(tag => ({ ...tag, document }));
+    }
+
+    const tags = [];
+    notebook.getCells().forEach(cell => {
+        if (cell.kind === vscode.NotebookCellKind.Code || cell.kind === vscode.NotebookCellKind.Markup) {
+            scanDocument(cell.document).forEach(tag => tags.push({ ...tag, document: cell.document, cellIndex: cell.index }));
+        }
+    });
+    return tags;
+}
+
+async function goToTag(scanDocument, direction, args) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        return;
+    }
+
+    const filter = getKeywordFilter(args);
+    const tags = getNavigableTags(editor.document, scanDocument)
+        .filter(tag => !filter || filter.has(tag.keyword.toUpperCase()))
+        .sort(compareTagPositions);
+    if (tags.length === 0) {
+        vscode.window.setStatusBarMessage(filter ? `No ${Array.from(filter).join('/')} comments in this file` : 'No tagged comments in this file', 3000);
+        return;
+    }
+
+    // Wraps around at either end of the file or notebook
+    const cellIndex = getCellIndex(editor.document);
+    const at = position => ({ cellIndex, range: new vscode.Range(position, position) });
+    const target = direction > 0
+        ? tags.find(tag => compareTagPositions(tag, at(editor.selection.active)) > 0) || tags[0]
+        : tags.slice().reverse().find(tag => compareTagPositions(tag, at(editor.selection.start)) < 0) || tags[tags.length - 1];
+
+    if (target.document !== editor.document) {
+        await vscode.window.showTextDocument(target.document, { selection: target.range, viewColumn: editor.viewColumn });
+        return;
+    }
+    editor.selection = new vscode.Selection(target.range.start, target.range.end);
+    editor.revealRange(target.range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+}
+
+function getCellIndex(document) {
+    const notebook = findNotebookForCell(document);
+    const cell = notebook ? notebook.getCells().find(candidate => candidate.document === document) : null;
+    return cell ? cell.index : undefined;
+}
+
+// Quick pick over every tagged comment in the workspace; the highlighted
+// entry is previewed and the original editor comes back on cancel.
+async function findTaggedComment(index) {
+    await index.ensureScanned();
+    const tags = index.getTags().sort((a, b) =>
+        a.keyword.localeCompare(b.keyword) ||
+        vscode.workspace.asRelativePath(a.uri).localeCompare(vscode.workspace.asRelativePath(b.uri)) ||
+        compareTagPositions(a, b));
+
+    if (tags.length === 0) {
+        vscode.window.showInformationMessage('No tagged comments found in the workspace');
+        return;
+    }
+
+    const items = [];
+    tags.forEach((tag, position) => {
+        if (position === 0 || tags[position - 1].keyword !== tag.keyword) {
+            items.push({ label: tag.keyword, kind: vscode.QuickPickItemKind.Separator });
+        }
+        items.push({
+            label: tag.text || tag.keyword,
+            description: formatTagLocation(tag),
+            tag
+        });
+    });
+
+    const originalEditor = vscode.window.activeTextEditor;
+    const originalSelection = originalEditor ? originalEditor.selection : null;
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.items = items;
+    quickPick.placeholder = 'Search tagged comments by keyword, text or file';
+    quickPick.matchOnDescription = true;
+
+    let accepted = false;
+    const show = (tag, preview) => showTag(tag, { preview, preserveFocus: preview });
+
+    return new Promise(resolve => {
+        quickPick.onDidChangeActive(active => {
+            if (active[0] && active[0].tag) {
+                show(active[0].tag, true).then(undefined, error => logError('Error previewing tagged comment', error));
+            }
+        });
+        quickPick.onDidAccept(() => {
+            const selected = quickPick.selectedItems[0];
+            if (selected && selected.tag) {
+                accepted = true;
+                quickPick.hide();
+                show(selected.tag, false).then(undefined, error => logError('Error opening tagged comment', error));
+            }
+        });
+        quickPick.onDidHide(() => {
+            if (!accepted && originalEditor) {
+                vscode.window.showTextDocument(originalEditor.document, {
+                    viewColumn: originalEditor.viewColumn,
+                    selection: originalSelection
+                }).then(undefined, error => logError('Error restoring editor', error));
+            }
+            quickPick.dispose();
+            resolve();
+        });
+        quickPick.show();
+    });
+}
+
+function registerTagNavigation(context, index, scanDocument) {
+    try {
+        const runSafely = (name, action) => async (...args) => {
+            try {
+                await action(...args);
+            } catch (error) {
+                logError(`Error in ${name} command`, error);
+                vscode.window.showErrorMessage(`Failed to ${name}. See output for details.`);
+            }
+        };
+
+        context.subscriptions.push(
+            vscode.commands.registerCommand('commentWizard.nextTag',
+                runSafely('go to next tagged comment', args => goToTag(scanDocument, 1, args))),
+            vscode.commands.registerCommand('commentWizard.previousTag',
+                runSafely('go to previous tagged comment', args => goToTag(scanDocument, -1, args))),
+            vscode.commands.registerCommand('commentWizard.findTag',
+                runSafely('find tagged comment', () => findTaggedComment(index))),
+            // Used by the Tagged Comments view; not listed in the command palette
+            vscode.commands.registerCommand('commentWizard.openTag',
+                runSafely('open tagged comment', tag => showTag(tag)))
+        );
+    } catch (error) {
+        logError('Failed to register tag navigation', error);
+    }
+}
+
+module.exports = {
+    registerTagNavigation
+};
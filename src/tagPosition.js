@@ -0,0 +1,120 @@
+// Where in a comment a keyword counts as a tag. Each keyword, or '*' for all
+// of them, may set these rules in `commentWizard.keywordPositions`:
+//   firstWord         the keyword must be the first word of a comment line
+//   requireDelimiter  the keyword must be followed by `:` or by metadata, e.g. `TODO(alice)`
+//   trailingComments  allowed in comments that follow code on the same line
+//   docComments       allowed in doc comments such as /** */, ///, //! and docstrings
+// `commentWizard.excludeFromEnd` is the default for trailingComments.
+
+const POSITION_RULES = ['firstWord', 'requireDelimiter', 'trailingComments', 'docComments'];
+
+const DEFAULT_RULES = {
+    firstWord: false,
+    requireDelimiter: false,
+    trailingComments: true,
+    docComments: true
+};
+
+// Openers of documentation comments: /** (not /**/), /*!, /// (not ////), //!,
+// Python docstrings, Haskell {-| and OCaml (**
+const DOC_COMMENT = /^(?:\/\*\*(?![*/])|\/\*!|\/\/\/(?!\/)|\/\/!|"""|'''|\{-\s*\||\(\*\*(?!\)))/;
+
+// What may precede the first word of a comment line: ` * `, `# `, `-- | `
+const LINE_DECORATION = /^[\s*#/!;%|-]*$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDocComment(commentText) {
+    return DOC_COMMENT.test(commentText);
+}
+
+// The doc comment opener the text starts with, such as '//!', or ''
+function getDocCommentOpener(commentText) {
+    const match = DOC_COMMENT.exec(commentText);
+    return match ? match[0] : '';
+}
+
+// The comment's own line starts after the opening delimiter, later lines at
+// their beginning
+function isFirstWord(commentText, offset, open = '') {
+    const lineStart = commentText.lastIndexOf('\n', offset - 1) + 1;
+    const start = lineStart === 0 ? Math.min(open.length, offset) : lineStart;
+    return LINE_DECORATION.test(commentText.slice(start, offset));
+}
+
+function hasDelimiter(commentText, match) {
+    return Boolean(match.metadata) || commentText[match.end] === ':' || commentText[match.end] === '(';
+}
+
+// Rules for each keyword: its own entry over '*' over the defaults. Returns
+// null when every keyword may appear anywhere, so matching needs no filter.
+function compilePositionRules(settings, onError = () => {}) {
+    const configured = settings.get('keywordPositions', {});
+    const defaults = { ...DEFAULT_RULES, trailingComments: !settings.get('excludeFromEnd', false) };
+    const entries = {};
+
+    if (isPlainObject(configured)) {
+        Object.entries(configured).forEach(([keyword, rules]) => {
+            if (!isPlainObject(rules)) {
+                onError(`Invalid position rules for '${keyword}': expected an object`);
+                return;
+            }
+            const valid = {};
+            Object.entries(rules).forEach(([rule, value]) => {
+                if (!POSITION_RULES.includes(rule)) {
+                    onError(`Unknown position rule '${rule}' for '${keyword}'`);
+                } else if (typeof value !== 'boolean') {
+                    onError(`Position rule '${rule}' for '${keyword}' must be true or false`);
+                } else {
+                    valid[rule] = value;
+                }
+            });
+            entries[keyword] = valid;
+        });
+    } else if (configured !== undefined && configured !== null) {
+        onError('keywordPositions must map keywords to position rules');
+    }
+
+    const base = { ...defaults, ...(entries['*'] || {}) };
+    const isDefault = rules => POSITION_RULES.every(rule => rules[rule] === DEFAULT_RULES[rule]);
+    if (isDefault(base) && Object.values(entries).every(rules => isDefault({ ...base, ...rules }))) {
+        return null;
+    }
+
+    const resolved = new Map();
+    return keyword => {
+        if (!resolved.has(keyword)) {
+            resolved.set(keyword, { ...base, ...(entries[keyword] || {}) });
+        }
+        return resolved.get(keyword);
+    };
+}
+
+// Drops matches in positions their keyword's rules exclude. The context gives
+// the comment's opening delimiter and whether code precedes it on its line.
+function withPositionRules(matcher, getRules) {
+    return {
+        ...matcher,
+        match(text, context = {}) {
+            const doc = isDocComment(text);
+            return matcher.match(text, context).filter(match => {
+                const rules = getRules(match.keyword);
+                return (rules.trailingComments || !context.trailing) &&
+                    (rules.docComments || !doc) &&
+                    (!rules.firstWord || isFirstWord(text, match.start, context.open)) &&
+                    (!rules.requireDelimiter || hasDelimiter(text, match));
+            });
+        }
+    };
+}
+
+module.exports = {
+    POSITION_RULES,
+    compilePositionRules,
+    getDocCommentOpener,
+    isDocComment,
+    isFirstWord,
+    withPositionRules
+};
@@ -0,0 +1,224 @@
+const vscode = require('vscode');
+const path = require('path');
+const { logError } = require('./logger');
+const { getColorIconPath } = require('./colorIcons');
+const { isThemeColorId, toHexColor } = require('./colors');
+const { getConfiguration } = require('./projectConfig');
+const { formatAge } = require('./gitBlame');
+const { compareTagPositions, formatTagLine, formatTagLocation } = require('./tagLocations');
+
+const REFRESH_DELAY = 200;
+
+class TagTreeProvider {
+    constructor(index, iconDirectory, blameCache) {
+        this.index = index;
+        this.iconDirectory = iconDirectory;
+        this.blameCache = blameCache;
+        this.commitDates = new Map();
+        this.refreshTimer = null;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.indexListener = index.onDidChange(() => this.refresh());
+    }
+
+    refresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this._onDidChangeTreeData.fire();
+        }, REFRESH_DELAY);
+    }
+
+    async getChildren(element) {
+        try {
+            if (!element) {
+                await this.index.ensureScanned();
+                const sortByAge = getConfiguration().get('explorer.sortBy', 'position') === 'age';
+                vscode.commands.executeCommand('setContext', 'commentWizard.tagsSortedByAge', sortByAge);
+                if (sortByAge) {
+                    await this.loadCommitDates(this.index.getTags());
+                }
+                return this.getKeywordNodes(sortByAge);
+            }
+            if (element.type === 'keyword') {
+                return element.files;
+            }
+            if (element.type === 'file') {
+                return element.tags.map(tag => ({ type: 'tag', tag }));
+            }
+            return [];
+        } catch (error) {
+            logError('Error building tag tree', error);
+            return [];
+        }
+    }
+
+    // Commit date of every tag's line, from git blame of the saved file
+    async loadCommitDates(tags) {
+        this.commitDates.clear();
+        if (!this.blameCache) {
+            return;
+        }
+
+        const files = new Map();
+        tags.forEach(tag => {
+            // Blame lines of a notebook file do not match cell lines
+            if (tag.uri.scheme === 'file' && tag.cellIndex === undefined) {
+                files.set(tag.uri.fsPath, tag.uri);
+            }
+        });
+        for (const [filePath, uri] of files) {
+            const blame = await this.blameCache.getBlame(filePath);
+            if (!blame) continue;
+            blame.forEach((line, lineNumber) => {
+                if (!line.uncommitted && line.date) {
+                    this.commitDates.set(`${uri.toString()}#${lineNumber}`, line.date);
+                }
+            });
+        }
+    }
+
+    getCommitDate(tag) {
+        if (tag.cellIndex !== undefined) {
+            return undefined;
+        }
+        return this.commitDates.get(`${tag.uri.toString()}#${tag.range.start.line + 1}`);
+    }
+
+    // Oldest first; uncommitted or untracked tags sort last
+    compareAge(a, b) {
+        const dateA = this.getCommitDate(a);
+        const dateB = this.getCommitDate(b);
+        const timeA = dateA ? dateA.getTime() : Infinity;
+        const timeB = dateB ? dateB.getTime() : Infinity;
+        return timeA === timeB ? 0 : (timeA < timeB ? -1 : 1);
+    }
+
+    getKeywordNodes(sortByAge = false) {
+        const groups = new Map();
+
+        this.index.getTags().forEach(tag => {
+            if (!groups.has(tag.keyword)) {
+                groups.set(tag.keyword, { type: 'keyword', keyword: tag.keyword, color: tag.color, count: 0, urgent: 0, byFile: new Map() });
+            }
+            const group = groups.get(tag.keyword);
+            const key = tag.uri.toString();
+            if (!group.byFile.has(key)) {
+                group.byFile.set(key, { type: 'file', keyword: tag.keyword, uri: tag.uri, tags: [] });
+            }
+            group.byFile.get(key).tags.push(tag);
+            group.count++;
+            if (tag.urgency > 0) {
+                group.urgent++;
+            }
+        });
+
+        return Array.from(groups.values())
+            .sort((a, b) => a.keyword.localeCompare(b.keyword))
+            .map(group => {
+                group.files = Array.from(group.byFile.values());
+                group.files.forEach(file => file.tags.sort((a, b) =>
+                    (sortByAge ? this.compareAge(a, b) : 0) || compareTagPositions(a, b)));
+                group.files.sort((a, b) =>
+                    (sortByAge ? this.compareAge(a.tags[0], b.tags[0]) : 0) ||
+                    vscode.workspace.asRelativePath(a.uri).localeCompare(vscode.workspace.asRelativePath(b.uri)));
+                delete group.byFile;
+                return group;
+            });
+    }
+
+    getTreeItem(element) {
+        try {
+            if (element.type === 'keyword') {
+                const item = new vscode.TreeItem(element.keyword, vscode.TreeItemCollapsibleState.Expanded);
+                item.description = element.urgent > 0 ? `${element.count} · ${element.urgent} urgent` : String(element.count);
+                item.iconPath = this.getColorIcon(element.color);
+                item.contextValue = 'commentWizard.keyword';
+                return item;
+            }
+
+            if (element.type === 'file') {
+                const item = new vscode.TreeItem(element.uri, vscode.TreeItemCollapsibleState.Collapsed);
+                const relativeDirectory = path.dirname(vscode.workspace.asRelativePath(element.uri));
+                item.description = relativeDirectory === '.' ? `${element.tags.length}` : `${relativeDirectory} · ${element.tags.length}`;
+                item.iconPath = vscode.ThemeIcon.File;
+                item.contextValue = 'commentWizard.file';
+                return item;
+            }
+
+            const tag = element.tag;
+            const item = new vscode.TreeItem(tag.text || tag.keyword, vscode.TreeItemCollapsibleState.None);
+            const commitDate = this.getCommitDate(tag);
+            item.description = commitDate ? `${formatTagLine(tag)} · ${formatAge(commitDate)}` : formatTagLine(tag);
+            item.tooltip = `${formatTagLocation(tag)}\n${tag.text}`;
+            item.iconPath = this.getColorIcon(tag.color);
+            item.contextValue = 'commentWizard.tag';
+            item.command = {
+                command: 'commentWizard.openTag',
+                title: 'Open Tagged Comment',
+                arguments: [tag]
+            };
+            return item;
+        } catch (error) {
+            logError('Error creating tree item', error);
+            return new vscode.TreeItem('');
+        }
+    }
+
+    getColorIcon(color) {
+        try {
+            if (isThemeColorId(color)) {
+                return new vscode.ThemeIcon('circle-filled', new vscode.ThemeColor(color));
+            }
+            const iconPath = getColorIconPath(this.iconDirectory, toHexColor(color));
+            return iconPath ? vscode.Uri.file(iconPath) : new vscode.ThemeIcon('comment');
+        } catch (error) {
+            logError(`Error creating icon for color ${color}`, error);
+            return new vscode.ThemeIcon('comment');
+        }
+    }
+
+    dispose() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        this.indexListener.dispose();
+        this._onDidChangeTreeData.dispose();
+    }
+}
+
+function setSortOrder(sortBy) {
+    return vscode.workspace.getConfiguration('commentWizard')
+        .update('explorer.sortBy', sortBy, vscode.ConfigurationTarget.Global)
+        .then(undefined, error => logError('Failed to change tag sort order', error));
+}
+
+function registerTagExplorer(context, index, blameCache) {
+    try {
+        const iconDirectory = context.globalStorageUri ? path.join(context.globalStorageUri.fsPath, 'icons') : null;
+        const provider = new TagTreeProvider(index, iconDirectory, blameCache);
+        const treeView = vscode.window.createTreeView('commentWizard.tags', {
+            treeDataProvider: provider,
+            showCollapseAll: true
+        });
+
+        context.subscriptions.push(
+            provider,
+            treeView,
+            vscode.commands.registerCommand('commentWizard.sortTagsByAge', () => setSortOrder('age')),
+            vscode.commands.registerCommand('commentWizard.sortTagsByPosition', () => setSortOrder('position'))
+        );
+        return provider;
+    } catch (error) {
+        logError('Failed to register tag explorer', error);
+        return null;
+    }
+}
+
+module.exports = {
+    TagTreeProvider,
+    registerTagExplorer
+};
@@ -0,0 +1,457 @@
+const vscode = require('vscode');
+const path = require('path');
+const { logError, logInfo } = require('./logger');
+const { getConfiguration } = require('./projectConfig');
+const { parseGitignore, isIgnored, getExcludeGlobs } = require('./gitignore');
+const { getLanguageIdForFile } = require('./fileLanguages');
+const { isNotebookFile, parseNotebookCells } = require('./notebooks');
+const { getLineStarts, positionAt } = require('./tagEngine');
+
+const BATCH_SIZE = 50;
+const UPDATE_DELAY = 300;
+// findFiles may return this many times explorer.maxFiles per folder, leaving
+// room for files that are not scanned (no language, nested .gitignore rules)
+const FIND_FILES_MARGIN = 4;
+
+// Settings that change which files are scanned or which tags they hold.
+// Styles, blame, diagnostics and sorting only change how tags are shown.
+const TAG_SETTINGS = [
+    'keywords',
+    'customKeywords',
+    'caseSensitive',
+    'enableRegexKeywords',
+    'regexTimeBudget',
+    'keywordAliases',
+    'atPrefix',
+    'urgency.enabled',
+    'excludeFromEnd',
+    'keywordPositions',
+    'minKeywordLength',
+    'maxKeywords',
+    'metadata.enabled',
+    'metadata.brackets',
+    'metadata.separator',
+    'metadata.patterns',
+    'languages',
+    'explorer.respectGitignore',
+    'explorer.maxFiles',
+    'explorer.maxFileSize'
+];
+
+// Lightweight stand-in for vscode.TextDocument so files that are not open
+// can go through the same keyword matching as editor documents.
+function createDocumentShim(uri, text, languageId) {
+    const lineStarts = getLineStarts(text);
+
+    return {
+        uri,
+        languageId,
+        lineCount: lineStarts.length,
+        getText: () => text,
+        positionAt(offset) {
+            const position = positionAt(lineStarts, Math.max(0, Math.min(offset, text.length)));
+            return new vscode.Position(position.line, position.character);
+        },
+        lineAt(line) {
+            const start = lineStarts[line];
+            let end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : text.length;
+            if (end > start && text.charCodeAt(end - 1) === 13) {
+                end--;
+            }
+            return { text: text.slice(start, end) };
+        }
+    };
+}
+
+function affectsTags(event) {
+    return TAG_SETTINGS.some(setting => event.affectsConfiguration(`commentWizard.${setting}`));
+}
+
+class TagIndex {
+    constructor(scanDocument) {
+        this.scanDocument = scanDocument;
+        this.entries = new Map();
+        this.gitignores = new Map();
+        this.scanned = false;
+        this.scanPromise = null;
+        this.generation = 0;
+        this.pendingUpdates = new Set();
+        this.updateTimer = null;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+        this.disposables = [this._onDidChange];
+
+        this.registerWatchers();
+    }
+
+    registerWatchers() {
+        try {
+            const watcher = vscode.workspace.createFileSystemWatcher('**/*');
+            watcher.onDidCreate(uri => this.handleFileEvent(uri), null, this.disposables);
+            watcher.onDidChange(uri => this.handleFileEvent(uri), null, this.disposables);
+            watcher.onDidDelete(uri => this.handleFileDelete(uri), null, this.disposables);
+            this.disposables.push(watcher);
+
+            vscode.workspace.onDidSaveTextDocument(document => {
+                this.handleFileEvent(document.uri);
+            }, null, this.disposables);
+
+            vscode.workspace.onDidSaveNotebookDocument(notebook => {
+                this.handleFileEvent(notebook.uri);
+            }, null, this.disposables);
+
+            vscode.workspace.onDidChangeWorkspaceFolders(() => {
+                this.rescan();
+            }, null, this.disposables);
+
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (affectsTags(event) || event.affectsConfiguration('files.exclude')) {
+                    this.rescan();
+                }
+            }, null, this.disposables);
+        } catch (error) {
+            logError('Failed to register workspace watchers', error);
+        }
+    }
+
+    getTags() {
+        const tags = [];
+        this.entries.forEach(entry => {
+            entry.tags.forEach(tag => tags.push(tag));
+        });
+        return tags;
+    }
+
+    ensureScanned() {
+        if (this.scanned) {
+            return Promise.resolve();
+        }
+        if (!this.scanPromise) {
+            this.scanPromise = this.scanWorkspace();
+        }
+        return this.scanPromise;
+    }
+
+    rescan() {
+        // Nothing to refresh until the index has been requested once
+        if (!this.scanned && !this.scanPromise) {
+            return Promise.resolve();
+        }
+        this.scanPromise = this.scanWorkspace();
+        return this.scanPromise;
+    }
+
+    // Tags keep the color they were scanned with; a theme change only needs
+    // them recolored, not read again
+    recolor(getColor) {
+        try {
+            this.entries.forEach(entry => {
+                entry.tags.forEach(tag => {
+                    tag.color = getColor(tag.keyword);
+                });
+            });
+            this._onDidChange.fire();
+        } catch (error) {
+            logError('Error recoloring tagged comments', error);
+        }
+    }
+
+    async scanWorkspace() {
+        const generation = ++this.generation;
+        try {
+            const config = getConfiguration();
+            const maxFiles = config.get('explorer.maxFiles', 5000);
+            const startTime = Date.now();
+
+            await this.loadGitignores();
+            if (generation !== this.generation) return;
+
+            // Root .gitignore rules are excluded in the search itself, so ignored
+            // dependencies and build output cannot crowd out the sources before
+            // the cap; nested .gitignore files are applied by shouldScan.
+            const uris = [];
+            for (const folder of vscode.workspace.workspaceFolders || []) {
+                const pattern = new vscode.RelativePattern(folder, '**/*');
+                uris.push(...await vscode.workspace.findFiles(pattern, this.getExcludePattern(folder), maxFiles * FIND_FILES_MARGIN));
+                if (generation !== this.generation) return;
+            }
+
+            const entries = new Map();
+            const candidates = uris.filter(uri => this.shouldScan(uri)).slice(0, maxFiles);
+
+            for (let i = 0; i < candidates.length; i += BATCH_SIZE) {
+                const batch = candidates.slice(i, i + BATCH_SIZE);
+                const results = await Promise.all(batch.map(uri => this.scanFile(uri)));
+                if (generation !== this.generation) return;
+
+                results.forEach((tags, index) => {
+                    if (tags && tags.length > 0) {
+                        entries.set(batch[index].toString(), { uri: batch[index], tags });
+                    }
+                });
+            }
+
+            this.entries = entries;
+            this.scanned = true;
+            this._onDidChange.fire();
+            logInfo(`Scanned ${candidates.length} files for tagged comments in ${Date.now() - startTime}ms`);
+        } catch (error) {
+            logError('Error scanning workspace for tagged comments', error);
+        } finally {
+            if (generation === this.generation) {
+                this.scanPromise = null;
+            }
+        }
+    }
+
+    async loadGitignores() {
+        this.gitignores.clear();
+        try {
+            const config = getConfiguration();
+            if (!config.get('explorer.respectGitignore', true)) {
+                return;
+            }
+
+            const files = await vscode.workspace.findFiles('**/.gitignore');
+            for (const uri of files) {
+                try {
+                    const content = await vscode.workspace.fs.readFile(uri);
+                    this.gitignores.set(path.dirname(uri.fsPath), parseGitignore(Buffer.from(content).toString('utf8')));
+                } catch (error) {
+                    logError(`Error reading ${uri.fsPath}`, error);
+                }
+            }
+        } catch (error) {
+            logError('Error loading .gitignore files', error);
+        }
+    }
+
+    // files.exclude plus the folder's root .gitignore rules as one findFiles
+    // exclude. Undefined, which applies files.exclude alone, when there are no
+    // rules or files.exclude has entries one brace group cannot hold.
+    getExcludePattern(folder) {
+        const globs = getExcludeGlobs(this.gitignores.get(folder.uri.fsPath));
+        if (globs.length === 0) {
+            return undefined;
+        }
+
+        const filesExclude = vscode.workspace.getConfiguration('files', folder.uri).get('exclude', {});
+        const excluded = Object.keys(filesExclude).filter(glob => filesExclude[glob]);
+        if (excluded.some(glob => filesExclude[glob] !== true || /[{},]/.test(glob))) {
+            return undefined;
+        }
+        return new vscode.RelativePattern(folder, `{${excluded.concat(globs).join(',')}}`);
+    }
+
+    isGitignored(uri) {
+        if (this.gitignores.size === 0) {
+            return false;
+        }
+
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) {
+            return false;
+        }
+
+        // Check the .gitignore of every directory between the workspace root and the file
+        const root = folder.uri.fsPath;
+        let directory = path.dirname(uri.fsPath);
+        while (directory.length >= root.length) {
+            const rules = this.gitignores.get(directory);
+            if (rules) {
+                const relative = path.relative(directory, uri.fsPath).split(path.sep).join('/');
+                if (isIgnored(rules, relative)) {
+                    return true;
+                }
+            }
+            const parent = path.dirname(directory);
+            if (parent === directory) break;
+            directory = parent;
+        }
+        return false;
+    }
+
+    shouldScan(uri) {
+        return uri.scheme === 'file' &&
+            (getLanguageIdForFile(uri.fsPath) !== null || isNotebookFile(uri.fsPath)) &&
+            !this.isGitignored(uri);
+    }
+
+    async scanFile(uri) {
+        try {
+            const config = getConfiguration();
+            const maxFileSize = config.get('explorer.maxFileSize', 1048576);
+
+            if (isNotebookFile(uri.fsPath)) {
+                return await this.scanNotebook(uri, maxFileSize);
+            }
+
+            // Prefer the editor's copy so unsaved edits are reflected
+            let document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+            if (!document) {
+                const stat = await vscode.workspace.fs.stat(uri);
+                if (stat.size > maxFileSize) {
+                    return [];
+                }
+
+                const content = await vscode.workspace.fs.readFile(uri);
+                const text = Buffer.from(content).toString('utf8');
+                if (text.slice(0, 8000).includes('\u0000')) {
+                    return []; // Binary file
+                }
+                document = createDocumentShim(uri, text, getLanguageIdForFile(uri.fsPath));
+            }
+
+            return this.scanDocument(document).map(tag => ({
+                ...tag,
+                uri,
+                text: document.lineAt(tag.range.start.line).text.trim()
+            }));
+        } catch (error) {
+            logError(`Error scanning ${uri.fsPath}`, error);
+            return [];
+        }
+    }
+
+    // Notebook tags carry the cell index; their ranges are relative to the cell
+    async scanNotebook(uri, maxFileSize) {
+        let cells;
+        const notebook = vscode.workspace.notebookDocuments.find(doc => doc.uri.toString() === uri.toString());
+        if (notebook) {
+            cells = notebook.getCells()
+                .filter(cell => cell.kind === vscode.NotebookCellKind.Code || cell.kind === vscode.NotebookCellKind.Markup)
+                .map(cell => ({ index: cell.index, document: cell.document }));
+        } else {
+            const stat = await vscode.workspace.fs.stat(uri);
+            if (stat.size > maxFileSize) {
+                return [];
+            }
+            const content = await vscode.workspace.fs.readFile(uri);
+            cells = parseNotebookCells(Buffer.from(content).toString('utf8')).map(cell => ({
+                index: cell.index,
+                document: createDocumentShim(uri, cell.text, cell.languageId)
+            }));
+        }
+
+        const tags = [];
+        cells.forEach(({ index, document }) => {
+            this.scanDocument(document).forEach(tag => tags.push({
+                ...tag,
+                uri,
+                cellIndex: index,
+                text: document.lineAt(tag.range.start.line).text.trim()
+            }));
+        });
+        return tags;
+    }
+
+    handleFileEvent(uri) {
+        try {
+            if (!this.scanned) return;
+
+            if (path.basename(uri.fsPath) === '.gitignore') {
+                this.rescan();
+                return;
+            }
+
+            this.pendingUpdates.add(uri.toString());
+            if (this.updateTimer) {
+                clearTimeout(this.updateTimer);
+            }
+            this.updateTimer = setTimeout(() => {
+                this.updateTimer = null;
+                this.flushUpdates();
+            }, UPDATE_DELAY);
+        } catch (error) {
+            logError('Error handling file event', error);
+        }
+    }
+
+    handleFileDelete(uri) {
+        try {
+            if (!this.scanned) return;
+
+            if (path.basename(uri.fsPath) === '.gitignore') {
+                this.rescan();
+                return;
+            }
+
+            // The deleted resource may be a folder, so drop everything below it too
+            const key = uri.toString();
+            let changed = false;
+            for (const entryKey of Array.from(this.entries.keys())) {
+                if (entryKey === key || entryKey.startsWith(key + '/')) {
+                    this.entries.delete(entryKey);
+                    changed = true;
+                }
+            }
+            if (changed) {
+                this._onDidChange.fire();
+            }
+        } catch (error) {
+            logError('Error handling file delete', error);
+        }
+    }
+
+    async flushUpdates() {
+        const uris = Array.from(this.pendingUpdates).map(key => vscode.Uri.parse(key));
+        this.pendingUpdates.clear();
+
+        let changed = false;
+        for (const uri of uris) {
+            try {
+                const key = uri.toString();
+                let tags = [];
+                if (this.shouldScan(uri) && await this.isIncluded(uri)) {
+                    tags = await this.scanFile(uri);
+                }
+
+                if (tags.length > 0) {
+                    this.entries.set(key, { uri, tags });
+                    changed = true;
+                } else if (this.entries.delete(key)) {
+                    changed = true;
+                }
+            } catch (error) {
+                logError(`Error updating tags for ${uri.fsPath}`, error);
+            }
+        }
+
+        if (changed) {
+            this._onDidChange.fire();
+        }
+    }
+
+    async isIncluded(uri) {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) {
+            return false;
+        }
+
+        // Reuse findFiles so files.exclude is applied exactly as in the full scan
+        const relative = path.relative(folder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+        const matches = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, relative), undefined, 1);
+        return matches.length > 0;
+    }
+
+    dispose() {
+        this.generation++;
+        if (this.updateTimer) {
+            clearTimeout(this.updateTimer);
+            this.updateTimer = null;
+        }
+        this.disposables.forEach(disposable => {
+            try {
+                disposable.dispose();
+            } catch (error) {
+                logError('Error disposing tag index', error);
+            }
+        });
+        this.disposables = [];
+    }
+}
+
+module.exports = {
+    TagIndex,
+    createDocumentShim
+};
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, main } = require('../src/cli');
+
+// Collects what main writes to a stream
+function createStream() {
+    const stream = { text: '', write: chunk => { stream.text += chunk; } };
+    return stream;
+}
+
+suite('cli', () => {
+    let root;
+
+    setup(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'comment-wizard-'));
+        fs.writeFileSync(path.join(root, 'a.js'), 'a(); // TODO(bob, 2020-01-01): x\n// FIXME! y\nconst s = "// BUG no";\n');
+        fs.writeFileSync(path.join(root, 'b.py'), '# NOTE fine\n');
+        fs.writeFileSync(path.join(root, '.gitignore'), 'vendor/\n');
+        fs.mkdirSync(path.join(root, 'vendor'));
+        fs.writeFileSync(path.join(root, 'vendor', 'c.js'), '// BUG ignored\n');
+    });
+
+    teardown(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    async function runCli(argv) {
+        const stdout = createStream();
+        const stderr = createStream();
+        const code = await main(argv, { cwd: root, stdout, stderr });
+        return { code, stdout: stdout.text, stderr: stderr.text };
+    }
+
+    test('parses options', () => {
+        const options = parseArgs(['-f', 'json', '--blocking=BUG,FIXME', '-b', 'HACK', '--no-gitignore', 'src']);
+        assert.strictEqual(options.format, 'json');
+        assert.deepStrictEqual(options.blocking, ['BUG', 'FIXME', 'HACK']);
+        assert.strictEqual(options.gitignore, false);
+        assert.deepStrictEqual(options.paths, ['src']);
+        assert.deepStrictEqual(parseArgs([]).paths, ['.']);
+        assert.throws(() => parseArgs(['--format', 'xml']), /Unknown format/);
+        assert.throws(() => parseArgs(['--nope']), /Unknown option/);
+    });
+
+    test('reports tags in comments outside ignored files', async () => {
+        const { code, stdout } = await runCli(['--format', 'json']);
+        const report = JSON.parse(stdout);
+        assert.strictEqual(code, 0);
+        assert.deepStrictEqual(report.tags.map(result => [result.file, result.line, result.keyword]), [
+            ['a.js', 1, 'TODO'],
+            ['a.js', 2, 'FIXME'],
+            ['b.py', 1, 'NOTE']
+        ]);
+        assert.strictEqual(report.tags[0].metadata.owner, 'bob');
+        assert.strictEqual(report.summary.urgent, 1);
+        assert.strictEqual(report.summary.overdue, 1);
+    });
+
+    test('exits with 1 for blocking keywords and overdue tags', async () => {
+        assert.strictEqual((await runCli(['-b', 'FIXME'])).code, 1);
+        assert.strictEqual((await runCli(['--fail-on-overdue'])).code, 1);
+        assert.strictEqual((await runCli(['-b', 'BUG'])).code, 0);
+        assert.strictEqual((await runCli(['-b', 'BUG', '--no-gitignore'])).code, 1);
+    });
+
+    test('reads keywords from the project file', async () => {
+        fs.writeFileSync(path.join(root, '.commentwizardrc.json'), JSON.stringify({ customKeywords: { PERF: '#00FF00' } }));
+        fs.writeFileSync(path.join(root, 'd.js'), '// PERF slow\n');
+        const report = JSON.parse((await runCli(['-f', 'json', 'd.js'])).stdout);
+        assert.deepStrictEqual(report.tags.map(result => result.keyword), ['PERF']);
+    });
+
+    test('writes SARIF with a warning level for urgent tags', async () => {
+        const sarif = JSON.parse((await runCli(['-f', 'sarif', 'a.js'])).stdout);
+        const levels = sarif.runs[0].results.map(result => result.level);
+        assert.strictEqual(sarif.version, '2.1.0');
+        assert.deepStrictEqual(levels, ['note', 'warning']);
+    });
+
+    test('exits with 2 on errors', async () => {
+        const { code, stderr } = await runCli(['missing-directory']);
+        assert.strictEqual(code, 2);
+        assert.match(stderr, /Path not found/);
+    });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { findComments, lexDocument, relexDocument } = require('../src/commentLexer');
+
+function commentTexts(text, languageId = 'javascript') {
+    return findComments(text, languageId).map(comment => text.slice(comment.start, comment.end));
+}
+
+suite('commentLexer', () => {
+    test('finds line and block comments', () => {
+        assert.deepStrictEqual(commentTexts('a(); // TODO one\n/* FIXME\n two */ b();'), ['// TODO one', '/* FIXME\n two */']);
+    });
+
+    test('records the comment type and opening delimiter', () => {
+        const [line, block] = findComments('// a\n/** b */', 'javascript');
+        assert.strictEqual(line.type, 'line');
+        assert.strictEqual(line.open, '//');
+        assert.strictEqual(block.type, 'block');
+        assert.strictEqual(block.open, '/*');
+    });
+
+    test('skips comment delimiters inside strings and template literals', () => {
+        assert.deepStrictEqual(commentTexts('const a = "// no", b = \'/* no */\', c = `// ${d} no`; // yes'), ['// yes']);
+    });
+
+    test('skips comment delimiters inside regex literals', () => {
+        assert.deepStrictEqual(commentTexts('const r = /\\/\\/[/*]/g; // TODO'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('if (/\\/\\//.test(s)) {} // TODO'), ['// TODO']);
+    });
+
+    test('treats a slash after an expression as division', () => {
+        assert.deepStrictEqual(commentTexts('x = a / b; // TODO'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('x = f(a) / g(b) // TODO'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('x = list[0] / 2 // TODO'), ['// TODO']);
+    });
+
+    test('treats a slash after postfix ++ and -- as division', () => {
+        assert.deepStrictEqual(commentTexts('i++ / 2; // TODO x'), ['// TODO x']);
+        assert.deepStrictEqual(commentTexts('a = b++ / 2 // TODO'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('a = b-- / 2 // TODO'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('a = (b)++ / c[0]-- / 2 // TODO'), ['// TODO']);
+    });
+
+    test('reads a regex after prefix operators and keywords', () => {
+        assert.deepStrictEqual(commentTexts('return /\\/\\//.test(s); // TODO'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('x = a + /\\/\\//.source.length // TODO'), ['// TODO']);
+    });
+
+    test('treats a slash after a closing brace as division on the same line only', () => {
+        assert.deepStrictEqual(commentTexts('x = {a: 1} / 2 // TODO'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('if (a) {\n}\n/\\/\\//.test(s) // TODO'), ['// TODO']);
+    });
+
+    test('treats text between JSX tags as text', () => {
+        assert.deepStrictEqual(commentTexts('const a = <div>//x TODO</div>; // TODO', 'javascriptreact'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('<>\n  // text\n  <p title="//">/* text */</p>\n</>', 'typescriptreact'), []);
+    });
+
+    test('finds comments in JSX expressions', () => {
+        const text = '<ul>{/* TODO */}<li key={id /* FIXME */}>{a && <b>// text</b>}</li></ul> // NOTE';
+        assert.deepStrictEqual(commentTexts(text, 'javascriptreact'), ['/* TODO */', '/* FIXME */', '// NOTE']);
+    });
+
+    test('reads < as a comparison or type parameter outside JSX', () => {
+        assert.deepStrictEqual(commentTexts('if (a < b) { // TODO\n}', 'javascriptreact'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('const f = <T,>(x: T) => x; // TODO', 'typescriptreact'), ['// TODO']);
+        assert.deepStrictEqual(commentTexts('let g: <T>(x: T) => T; // TODO', 'typescriptreact'), ['// TODO']);
+    });
+
+    test('re-reads JSX text when a later edit closes its element', () => {
+        const before = '<div>\n// text\n';
+        const after = `${before}</div>`;
+        const previous = lexDocument(before, 'javascriptreact');
+        assert.strictEqual(previous.comments.length, 1);
+        const change = { start: before.length, oldEnd: before.length, newEnd: after.length };
+        assert.deepStrictEqual(relexDocument(previous, after, change).comments, []);
+    });
+
+    test('uses the syntax of other languages', () => {
+        assert.deepStrictEqual(commentTexts('x = "# no"  # TODO\n"""doc"""', 'python'), ['# TODO', '"""doc"""']);
+        assert.deepStrictEqual(commentTexts('SELECT \'-- no\' -- TODO', 'sql'), ['-- TODO']);
+    });
+
+    test('returns null for languages without comment syntax', () => {
+        assert.strictEqual(findComments('// TODO', 'plaintext-unknown'), null);
+    });
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { compileDocTagStyles, findDocTags, getDocTagStyleName } = require('../src/docTags');
+
+// Tags as [name, tag text, argument text]
+function describeTags(text, open) {
+    return findDocTags(text, open).map(tag => [
+        tag.name,
+        text.slice(tag.start, tag.end),
+        tag.argument ? text.slice(tag.argument.start, tag.argument.end) : null
+    ]);
+}
+
+suite('docTags', () => {
+    test('finds JSDoc block and inline tags with their arguments', () => {
+        const text = '/**\n * Greets.\n * @param {string} name the name\n * @throws {TypeError} when empty\n * @returns {string}\n * See {@link Greeter}.\n */';
+        assert.deepStrictEqual(describeTags(text, '/*'), [
+            ['@param', '@param', 'name'],
+            ['@throws', '@throws', 'TypeError'],
+            ['@returns', '@returns', null],
+            ['@link', '@link', 'Greeter']
+        ]);
+    });
+
+    test('reads PHPDoc variables and optional JSDoc parameters', () => {
+        assert.deepStrictEqual(describeTags('/** @param string $name */', '/*'), [['@param', '@param', '$name']]);
+        assert.deepStrictEqual(describeTags('/** @param {number} [count=1] */', '/*'), [['@param', '@param', 'count']]);
+        assert.deepStrictEqual(describeTags('/** @since 2.1.0 */', '/*'), [['@since', '@since', '2.1.0']]);
+    });
+
+    test('skips mentions, email addresses and comments that are not doc comments', () => {
+        assert.deepStrictEqual(describeTags('/** Ask @alice or mail a@b.c */', '/*'), []);
+        assert.deepStrictEqual(describeTags('// @param name', '//'), []);
+        assert.deepStrictEqual(describeTags('/* @param name */', '/*'), []);
+    });
+
+    test('finds Sphinx fields in docstrings but not roles', () => {
+        const text = '"""Divide.\n\n:param int a: dividend\n:raises ZeroDivisionError: when b is 0\n:returns: the quotient\n:class:`Fraction` is exact\n"""';
+        assert.deepStrictEqual(describeTags(text, '"""'), [
+            [':param', ':param', 'a'],
+            [':raises', ':raises', 'ZeroDivisionError'],
+            [':returns', ':returns', null]
+        ]);
+    });
+
+    test('finds rustdoc section headings', () => {
+        assert.deepStrictEqual(describeTags('/// # Safety', '//'), [['# Safety', '# Safety', null]]);
+        assert.deepStrictEqual(describeTags('//! ## Examples  ', '//'), [['# Examples', '## Examples', null]]);
+        assert.deepStrictEqual(describeTags('// # Safety', '//'), []);
+    });
+
+    test('merges configured styles into the defaults', () => {
+        const errors = [];
+        const styles = compileDocTagStyles({
+            '@param': { argument: { color: '#FFFFFF' } },
+            '@returns': null,
+            '@custom': { tag: { color: '#123456' } },
+            '@since': { argument: null },
+            '@bad': { label: { color: '#FFFFFF' } }
+        }, message => errors.push(message));
+        assert.deepStrictEqual(styles['@param'], { tag: { color: '#C586C0' }, argument: { color: '#FFFFFF' } });
+        assert.strictEqual(styles['@returns'], undefined);
+        assert.deepStrictEqual(styles['@custom'], { tag: { color: '#123456' } });
+        assert.strictEqual(styles['@since'].argument, undefined);
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0], /unknown part 'label'/);
+    });
+
+    test('falls back to the * style for other tags', () => {
+        const styles = compileDocTagStyles(undefined);
+        assert.strictEqual(getDocTagStyleName(styles, '@param'), '@param');
+        assert.strictEqual(getDocTagStyleName(styles, '@whatever'), '*');
+    });
+});
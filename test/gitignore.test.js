@@ -0,0 +1,55 @@
+const assert = require('assert');
+const { parseGitignore, isIgnored, getExcludeGlobs } = require('../src/gitignore');
+
+suite('gitignore', () => {
+    test('skips blank lines and comments', () => {
+        assert.strictEqual(parseGitignore('\n# build output\n\ndist\n').length, 1);
+    });
+
+    test('matches names in any directory unless anchored', () => {
+        const rules = parseGitignore('node_modules\n/build\n');
+        assert.strictEqual(isIgnored(rules, 'node_modules/lib/index.js'), true);
+        assert.strictEqual(isIgnored(rules, 'packages/a/node_modules/x.js'), true);
+        assert.strictEqual(isIgnored(rules, 'build/out.js'), true);
+        assert.strictEqual(isIgnored(rules, 'src/build/out.js'), false);
+    });
+
+    test('supports *, ** and ? wildcards', () => {
+        const rules = parseGitignore('*.log\ndocs/**/*.tmp\nfile?.txt\n');
+        assert.strictEqual(isIgnored(rules, 'logs/debug.log'), true);
+        assert.strictEqual(isIgnored(rules, 'docs/a/b/c.tmp'), true);
+        assert.strictEqual(isIgnored(rules, 'docs/c.tmp'), true);
+        assert.strictEqual(isIgnored(rules, 'src/c.tmp'), false);
+        assert.strictEqual(isIgnored(rules, 'file1.txt'), true);
+        assert.strictEqual(isIgnored(rules, 'file10.txt'), false);
+    });
+
+    test('applies directory-only rules to directories', () => {
+        const rules = parseGitignore('out/\n');
+        assert.strictEqual(isIgnored(rules, 'out/main.js'), true);
+        assert.strictEqual(isIgnored(rules, 'out'), false);
+    });
+
+    test('re-includes negated files but not files in excluded directories', () => {
+        assert.strictEqual(isIgnored(parseGitignore('*.js\n!keep.js\n'), 'src/keep.js'), false);
+        assert.strictEqual(isIgnored(parseGitignore('vendor/\n!vendor/keep.js\n'), 'vendor/keep.js'), true);
+    });
+
+    test('turns rules into findFiles exclude globs', () => {
+        assert.deepStrictEqual(getExcludeGlobs(parseGitignore('node_modules/\n/build\n*.log\n')), [
+            '**/node_modules/**',
+            'build',
+            'build/**',
+            '**/*.log',
+            '**/*.log/**'
+        ]);
+        assert.deepStrictEqual(getExcludeGlobs(parseGitignore('a{b}\nout/\n')), ['**/out/**']);
+        assert.deepStrictEqual(getExcludeGlobs(parseGitignore('*.js\n!keep.js\n')), []);
+        assert.deepStrictEqual(getExcludeGlobs(undefined), []);
+    });
+
+    test('ignores nothing without rules', () => {
+        assert.strictEqual(isIgnored([], 'a.js'), false);
+        assert.strictEqual(isIgnored(null, 'a.js'), false);
+    });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { modifyJsonc, parseJsonc } = require('../src/jsonc');
+
+suite('jsonc', () => {
+    test('parses plain JSON', () => {
+        assert.deepStrictEqual(parseJsonc('{"a": [1, 2], "b": null}'), { a: [1, 2], b: null });
+    });
+
+    test('drops line and block comments', () => {
+        assert.deepStrictEqual(parseJsonc('// header\n{\n  "a": 1, // one\n  /* two */ "b": 2\n}'), { a: 1, b: 2 });
+    });
+
+    test('keeps comment markers and commas inside strings', () => {
+        assert.deepStrictEqual(parseJsonc('{"url": "http://x/*y*/", "list": ",]", "quote": "\\"//"}'), { url: 'http://x/*y*/', list: ',]', quote: '"//' });
+    });
+
+    test('drops trailing commas', () => {
+        assert.deepStrictEqual(parseJsonc('{"a": [1, 2,], "b": {"c": 3,},}'), { a: [1, 2], b: { c: 3 } });
+    });
+
+    test('drops trailing commas before comments', () => {
+        const text = '{\n  "comments": {\n    "lineComment": "//",\n    // "blockComment": ["/*", "*/"]\n  },\n  "brackets": [["{", "}"], /* more */],\n}';
+        assert.deepStrictEqual(parseJsonc(text), { comments: { lineComment: '//' }, brackets: [['{', '}']] });
+    });
+
+    test('drops trailing commas before long whitespace', () => {
+        assert.deepStrictEqual(parseJsonc(`[1,${' '.repeat(500)}]`), [1]);
+    });
+
+    test('throws on invalid JSON', () => {
+        assert.throws(() => parseJsonc('{"a": }'), SyntaxError);
+    });
+
+    test('replaces a value in place and keeps comments', () => {
+        const text = '// team settings\n{\n    "enableRegexKeywords": false, // off for now\n    "metadata": { "enabled": true }\n}\n';
+        assert.strictEqual(
+            modifyJsonc(text, ['enableRegexKeywords'], true),
+            '// team settings\n{\n    "enableRegexKeywords": true, // off for now\n    "metadata": { "enabled": true }\n}\n'
+        );
+    });
+
+    test('inserts keys with the file\'s indentation', () => {
+        const spaces = '{\n    "customKeywords": {\n        "PERF": "#0F0" // fast\n    }\n}\n';
+        assert.strictEqual(
+            modifyJsonc(spaces, ['customKeywords', 'SEC'], '#F00'),
+            '{\n    "customKeywords": {\n        "PERF": "#0F0", // fast\n        "SEC": "#F00"\n    }\n}\n'
+        );
+        const tabs = '{\n\t"name": "app"\n}\n';
+        assert.strictEqual(
+            modifyJsonc(tabs, ['commentwizard', 'customKeywords'], { SEC: '#F00' }),
+            '{\n\t"name": "app",\n\t"commentwizard": {\n\t\t"customKeywords": {\n\t\t\t"SEC": "#F00"\n\t\t}\n\t}\n}\n'
+        );
+    });
+
+    test('fills empty objects and empty text', () => {
+        assert.strictEqual(modifyJsonc('{}', ['a', 'b'], 1), '{\n  "a": {\n    "b": 1\n  }\n}');
+        assert.strictEqual(modifyJsonc('', ['a'], [1]), '{\n  "a": [\n    1\n  ]\n}\n');
+    });
+
+    test('replaces non-object values on the path', () => {
+        assert.deepStrictEqual(parseJsonc(modifyJsonc('{"metadata": true}', ['metadata', 'enabled'], false)), { metadata: { enabled: false } });
+    });
+
+    test('removes properties with their comma and comment', () => {
+        const text = '{\n    "customKeywords": {\n        "PERF": "#0F0", // fast\n        "SEC": "#F00" // security\n    }\n}';
+        assert.strictEqual(modifyJsonc(text, ['customKeywords', 'SEC'], undefined), '{\n    "customKeywords": {\n        "PERF": "#0F0" // fast\n    }\n}');
+        assert.strictEqual(modifyJsonc(text, ['customKeywords', 'PERF'], undefined), '{\n    "customKeywords": {\n        "SEC": "#F00" // security\n    }\n}');
+        assert.strictEqual(modifyJsonc('{"a": 1, "b": 2}', ['b'], undefined), '{"a": 1}');
+        assert.strictEqual(modifyJsonc('{"a": 1}', ['b'], undefined), '{"a": 1}');
+    });
+});
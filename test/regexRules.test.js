@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { RegexRuleSet, compileRegexRules, findNestedQuantifier, getRuleStyleKey, validatePattern } = require('../src/regexRules');
+
+function compile(rules) {
+    const errors = [];
+    const compiled = compileRegexRules(rules, message => errors.push(message));
+    return { compiled, errors };
+}
+
+suite('regexRules', () => {
+    test('accepts ordinary patterns', () => {
+        assert.strictEqual(validatePattern('JIRA-\\d+'), null);
+        assert.strictEqual(validatePattern('(?:ab|cd)+', 'i'), null);
+        assert.strictEqual(validatePattern('(a{2})+'), null);
+    });
+
+    test('rejects invalid patterns and flags', () => {
+        assert.match(validatePattern(''), /non-empty/);
+        assert.match(validatePattern('(', ''), /Invalid regular expression/);
+        assert.match(validatePattern('a', 'gy'), /unsupported flags gy/);
+    });
+
+    test('rejects nested quantifiers', () => {
+        assert.strictEqual(findNestedQuantifier('(a+)+'), '(a+)+');
+        assert.strictEqual(findNestedQuantifier('x(?:\\w*\\s?)*y'), '(?:\\w*\\s?)*');
+        assert.strictEqual(findNestedQuantifier('([a-z]+,){2,}'), '([a-z]+,){2,}');
+        assert.strictEqual(findNestedQuantifier('\\(a+\\)+'), null);
+        assert.strictEqual(findNestedQuantifier('[(a+)]+'), null);
+        assert.match(validatePattern('(a+)+$'), /nested quantifier/);
+    });
+
+    test('reports invalid rules by name and keeps the valid ones', () => {
+        const { compiled, errors } = compile([
+            { name: 'ticket', pattern: '[A-Z]+-\\d+', style: { color: '#FF0000' } },
+            { name: 'no style', pattern: 'x' },
+            { pattern: '(a)', groups: { 2: { color: '#00FF00' } } },
+            { name: 'bad scope', pattern: 'x', scope: 'strings', style: { color: '#FF0000' } },
+            { name: 'extra', pattern: 'x', style: { color: '#FF0000' }, colour: 'red' },
+            'x'
+        ]);
+        assert.deepStrictEqual(compiled.map(rule => rule.name), ['ticket']);
+        assert.deepStrictEqual(errors, [
+            "Invalid regex rule 'no style': rule needs a style or group styles",
+            'Invalid regex rule #3: the pattern has no capture group 2',
+            "Invalid regex rule 'bad scope': invalid scope strings (allowed: comments, file)",
+            "Invalid regex rule 'extra': unknown property colour",
+            'Invalid regex rule #6: rule must be an object'
+        ]);
+    });
+
+    test('matches inside comments only, by default', () => {
+        const { compiled } = compile([{ pattern: '#\\d+', style: { color: '#FF0000' } }]);
+        const text = 'x = "#1"; // see #22\n';
+        const ranges = new RegexRuleSet(compiled).match(text, [{ start: 10, end: 20 }], 'test.js');
+        assert.deepStrictEqual(ranges.get(getRuleStyleKey(compiled[0], 'match')), [{ start: 17, end: 20 }]);
+    });
+
+    test('styles capture groups by number and name', () => {
+        const { compiled } = compile([{
+            pattern: '(?<project>[A-Z]+)-(\\d+)',
+            scope: 'file',
+            groups: { project: { color: '#FF0000' }, 2: { color: '#00FF00' } }
+        }]);
+        const ranges = new RegexRuleSet(compiled).match('see ABC-12 and XY-3', null, 'test.txt');
+        assert.deepStrictEqual(ranges.get(getRuleStyleKey(compiled[0], 'project')), [{ start: 4, end: 7 }, { start: 15, end: 17 }]);
+        assert.deepStrictEqual(ranges.get(getRuleStyleKey(compiled[0], '2')), [{ start: 8, end: 10 }, { start: 18, end: 19 }]);
+    });
+
+    test('skips comment rules without comments', () => {
+        const { compiled } = compile([{ pattern: 'x', style: { color: '#FF0000' } }]);
+        assert.strictEqual(new RegexRuleSet(compiled).match('x', null, 'test.txt').size, 0);
+    });
+
+    test('stops and disables a rule that backtracks past the time budget', () => {
+        const { compiled, errors } = compile([{ name: 'slow', pattern: '(a|a)*c', scope: 'file', style: { color: '#FF0000' } }]);
+        assert.deepStrictEqual(errors, []);
+        const disabled = [];
+        const ruleSet = new RegexRuleSet(compiled, { timeBudget: 20, onDisable: (rule, elapsed, name) => disabled.push([rule.name, name]) });
+
+        const started = Date.now();
+        const ranges = ruleSet.match(`${'a'.repeat(32)}b`, null, 'slow.txt');
+        assert.ok(Date.now() - started < 1000, 'matching was not interrupted');
+        assert.strictEqual(ranges.size, 0);
+        assert.deepStrictEqual(disabled, [['slow', 'slow.txt']]);
+
+        // Disabled rules are not run again
+        ruleSet.match(`${'a'.repeat(32)}b`, null, 'slow.txt');
+        assert.strictEqual(disabled.length, 1);
+    });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { formatReport } = require('../src/reportFormats');
+
+const ENTRIES = [
+    { keyword: 'TODO', file: 'src/b.js', line: 4, column: 3, owner: 'alice', due: '2026-01-01', text: '// TODO(alice, 2026-01-01): x', link: 'src/b.js#L4' },
+    { keyword: 'FIXME', urgency: 2, file: 'src/a.js', line: 10, column: 1, text: '// FIXME!! "quoted", | piped' },
+    { keyword: 'TODO', file: 'src/a.js', line: 2, column: 5, text: '// TODO <b>bold</b>' }
+];
+const OPTIONS = { generatedAt: new Date(2026, 0, 15) };
+
+suite('reportFormats', () => {
+    test('writes a Markdown summary and one table per keyword', () => {
+        const report = formatReport('markdown', ENTRIES, OPTIONS);
+        const lines = report.split('\n');
+        assert.strictEqual(lines[0], '# Tagged Comments');
+        assert.strictEqual(lines[2], 'Generated 2026-01-15 · 3 tagged comments');
+        assert.ok(lines.includes('| FIXME | 1 | 1 |'));
+        assert.ok(lines.includes('| TODO | 2 | 0 |'));
+        assert.ok(lines.indexOf('## FIXME (1)') < lines.indexOf('## TODO (2)'));
+        assert.ok(report.includes('| src/a.js:10 | FIXME | !! |  |  | // FIXME!! "quoted", \\| piped |'));
+        assert.ok(report.includes('| [src/b.js:4](src/b.js#L4) | TODO |'));
+    });
+
+    test('sorts entries by file and line within a group', () => {
+        const report = formatReport('markdown', ENTRIES, OPTIONS);
+        assert.ok(report.indexOf('src/a.js:2') < report.indexOf('src/b.js:4'));
+    });
+
+    test('groups by owner with unassigned tags last', () => {
+        const report = formatReport('markdown', ENTRIES, { ...OPTIONS, groupBy: 'owner' });
+        assert.ok(report.indexOf('## alice (1)') < report.indexOf('## Unassigned (2)'));
+    });
+
+    test('quotes CSV fields and adds the urgency column only when needed', () => {
+        const rows = formatReport('csv', ENTRIES, OPTIONS).split('\r\n');
+        assert.strictEqual(rows[0], 'Keyword,Urgency,File,Line,Column,Owner,Due,Comment');
+        assert.strictEqual(rows[1], 'FIXME,2,src/a.js,10,1,,,"// FIXME!! ""quoted"", | piped"');
+        const plain = formatReport('csv', ENTRIES.filter(entry => !entry.urgency), OPTIONS).split('\r\n');
+        assert.strictEqual(plain[0], 'Keyword,File,Line,Column,Owner,Due,Comment');
+    });
+
+    test('adds cell and git columns', () => {
+        const entries = [{ keyword: 'NOTE', file: 'a.ipynb', cell: 2, line: 1, column: 3, text: '# NOTE', author: 'bob', date: new Date(2025, 5, 1) }];
+        const rows = formatReport('csv', entries, { ...OPTIONS, includeGit: true }).split('\r\n');
+        assert.strictEqual(rows[0], 'Keyword,File,Cell,Line,Column,Owner,Due,Comment,Author,Date');
+        assert.strictEqual(rows[1], 'NOTE,a.ipynb,2,1,3,,,# NOTE,bob,2025-06-01');
+        assert.ok(formatReport('markdown', entries, OPTIONS).includes('| a.ipynb cell 2:1 |'));
+    });
+
+    test('escapes HTML and colors keyword badges', () => {
+        const report = formatReport('html', ENTRIES, { ...OPTIONS, keywordColors: { TODO: '#FFAA00' } });
+        assert.ok(report.includes('// TODO &lt;b&gt;bold&lt;/b&gt;'));
+        assert.ok(!report.includes('<b>bold</b>'));
+        assert.ok(report.includes('style="color: #FFAA00; border-color: #FFAA00">TODO</span>'));
+        assert.ok(report.includes('<a href="src/b.js#L4">src/b.js:4</a>'));
+    });
+
+    test('rejects unknown formats', () => {
+        assert.throws(() => formatReport('pdf', ENTRIES), /Unknown report format 'pdf'/);
+    });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { createTagScanner, compileLanguageDefinitions, getLineStarts, positionAt } = require('../src/tagEngine');
+
+// Settings as the editor's configuration returns them, with defaults for the rest
+function createSettings(values = {}) {
+    return {
+        get: (key, defaultValue) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : defaultValue)
+    };
+}
+
+suite('tagEngine', () => {
+    test('scans comments with the default keywords', () => {
+        const scanner = createTagScanner(createSettings());
+        assert.ok(scanner.keywords.TODO);
+        const tags = scanner.scan('x(); // TODO: a\nconst s = "FIXME";', 'javascript');
+        assert.deepStrictEqual(tags.map(tag => [tag.keyword, tag.start, tag.end]), [['TODO', 8, 12]]);
+        assert.strictEqual(tags[0].comment.open, '//');
+    });
+
+    test('returns null for languages the lexer does not know', () => {
+        assert.strictEqual(createTagScanner(createSettings()).scan('// TODO', 'unknown-language'), null);
+    });
+
+    test('adds custom keywords and reports invalid ones', () => {
+        const errors = [];
+        const scanner = createTagScanner(createSettings({ customKeywords: { PERF: '#00FF00', 'BAD KEY': '#FF0000' } }), message => errors.push(message));
+        assert.ok(scanner.keywords.PERF);
+        assert.ok(!scanner.keywords['BAD KEY']);
+        assert.strictEqual(errors.length, 1);
+        assert.deepStrictEqual(scanner.scan('# PERF slow', 'python').map(tag => tag.keyword), ['PERF']);
+    });
+
+    test('maps aliases to their keyword', () => {
+        const scanner = createTagScanner(createSettings({ keywordAliases: { TODO: ['TBD'] } }));
+        assert.deepStrictEqual(scanner.scan('// TBD later', 'javascript').map(tag => tag.keyword), ['TODO']);
+    });
+
+    test('splits language definitions into syntaxes and file associations', () => {
+        const errors = [];
+        const { syntaxes, associations } = compileLanguageDefinitions({
+            mylang: { lineComment: '%%', extensions: ['.my', 3] },
+            broken: { lineComment: 7 }
+        }, message => errors.push(message));
+        assert.ok(syntaxes.mylang);
+        assert.deepStrictEqual(associations.mylang, { extensions: ['.my'], filenames: [] });
+        assert.strictEqual(syntaxes.broken, undefined);
+        assert.ok(errors.length > 0);
+        assert.ok(errors.every(message => message.includes("'broken'")));
+    });
+
+    test('converts offsets to lines and columns', () => {
+        const lineStarts = getLineStarts('ab\ncd\n\nef');
+        assert.deepStrictEqual(lineStarts, [0, 3, 6, 7]);
+        assert.deepStrictEqual(positionAt(lineStarts, 0), { line: 0, character: 0 });
+        assert.deepStrictEqual(positionAt(lineStarts, 4), { line: 1, character: 1 });
+        assert.deepStrictEqual(positionAt(lineStarts, 6), { line: 2, character: 0 });
+        assert.deepStrictEqual(positionAt(lineStarts, 9), { line: 3, character: 2 });
+    });
+});
@@ -0,0 +1,150 @@
+const assert = require('assert');
+const { createKeywordMatcher, escapeRegExp, isRegexKeyword, isSymbolKeyword } = require('../src/tagMatcher');
+const { createTagScanner } = require('../src/tagEngine');
+const { KEYWORD_PRESETS } = require('../src/keywordPresets');
+
+function keywordsIn(matcher, text, context) {
+    return matcher.match(text, context).map(match => text.slice(match.start, match.end));
+}
+
+suite('tagMatcher', () => {
+    test('finds every keyword in one pass, with offsets', () => {
+        const matcher = createKeywordMatcher(['TODO', 'FIXME']);
+        assert.deepStrictEqual(matcher.match('// TODO then FIXME'), [
+            { keyword: 'TODO', start: 3, end: 7 },
+            { keyword: 'FIXME', start: 13, end: 18 }
+        ]);
+    });
+
+    test('matches whole words only', () => {
+        const matcher = createKeywordMatcher(['TODO']);
+        assert.deepStrictEqual(keywordsIn(matcher, '// TODOS and MYTODO, TODO_x but TODO.'), ['TODO']);
+    });
+
+    test('prefers the longer of overlapping keywords', () => {
+        const matcher = createKeywordMatcher(['FIX', 'FIXME']);
+        assert.deepStrictEqual(matcher.match('// FIXME').map(match => match.keyword), ['FIXME']);
+    });
+
+    test('reports the configured spelling for case-insensitive hits', () => {
+        const matcher = createKeywordMatcher(['TODO']);
+        assert.deepStrictEqual(matcher.match('// todo').map(match => match.keyword), ['TODO']);
+        assert.deepStrictEqual(createKeywordMatcher(['TODO'], { caseSensitive: true }).match('// todo'), []);
+    });
+
+    test('escapes keywords with regex characters', () => {
+        assert.strictEqual(escapeRegExp('a.b+c'), 'a\\.b\\+c');
+        assert.deepStrictEqual(keywordsIn(createKeywordMatcher(['C.D']), '// CXD C.D'), ['C.D']);
+    });
+
+    test('matches /regex/ keywords only when enabled', () => {
+        assert.strictEqual(isRegexKeyword('/TODO-\\d+/'), true);
+        assert.strictEqual(isRegexKeyword('//'), false);
+        const enabled = createKeywordMatcher(['NOTE', '/BUG-\\d+/'], { enableRegex: true });
+        assert.deepStrictEqual(keywordsIn(enabled, '// BUG-12 NOTE'), ['BUG-12', 'NOTE']);
+        assert.deepStrictEqual(keywordsIn(createKeywordMatcher(['/BUG-\\d+/']), '// BUG-12'), []);
+    });
+
+    test('stops and disables a regex keyword that backtracks past the time budget', () => {
+        const disabled = [];
+        const matcher = createKeywordMatcher(['TODO', '/(a|aa)+z/'], {
+            enableRegex: true,
+            regexTimeBudget: 20,
+            onRegexDisable: rule => disabled.push(rule.name)
+        });
+        const text = `// TODO ${'a'.repeat(40)}!`;
+
+        const started = Date.now();
+        assert.deepStrictEqual(matcher.match(text).map(match => match.keyword), ['TODO']);
+        assert.ok(Date.now() - started < 1000, 'matching was not interrupted');
+        assert.deepStrictEqual(disabled, ['/(a|aa)+z/']);
+
+        // Disabled keywords are not run again
+        matcher.match(text);
+        assert.strictEqual(disabled.length, 1);
+    });
+
+    test('reports runaway regex keywords through the tag scanner', () => {
+        const errors = [];
+        const values = { enableRegexKeywords: true, regexTimeBudget: 20, customKeywords: { '/(a|aa)+z/': '#FF0000' } };
+        const scanner = createTagScanner({ get: (key, defaultValue) => (key in values ? values[key] : defaultValue) }, message => errors.push(message));
+        scanner.scan(`// ${'a'.repeat(40)}!`, 'javascript');
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0], /Regex keyword '\/\(a\|aa\)\+z\/' took \d+ ms .* and was disabled/);
+    });
+
+    test('collects invalid regex keywords as errors', () => {
+        const matcher = createKeywordMatcher(['/(/'], { enableRegex: true });
+        assert.strictEqual(matcher.errors.length, 1);
+        assert.strictEqual(matcher.errors[0].keyword, '/(/');
+    });
+
+    test('recognizes symbol keywords', () => {
+        assert.strictEqual(isSymbolKeyword('!'), true);
+        assert.strictEqual(isSymbolKeyword('>>'), true);
+        assert.strictEqual(isSymbolKeyword('//'), false);
+        assert.strictEqual(isSymbolKeyword('!TODO'), false);
+    });
+
+    test('matches symbol keywords only at the start of a comment', () => {
+        const matcher = createKeywordMatcher(['!', '>>', 'TODO']);
+        assert.deepStrictEqual(matcher.match('// ! careful', { open: '//' }), [{ keyword: '!', start: 3, end: 4 }]);
+        assert.deepStrictEqual(keywordsIn(matcher, '//>> next', { open: '//' }), ['>>']);
+        assert.deepStrictEqual(keywordsIn(matcher, '// careful !', { open: '//' }), []);
+        assert.deepStrictEqual(keywordsIn(matcher, '// !! careful', { open: '//' }), []);
+    });
+
+    test('does not take a delimiter ending in a symbol for a symbol keyword', () => {
+        const matcher = createKeywordMatcher(['*', '!']);
+        assert.deepStrictEqual(keywordsIn(matcher, '/** doc */', { open: '/*' }), []);
+        assert.deepStrictEqual(keywordsIn(matcher, '/* * note */', { open: '/*' }), ['*']);
+        assert.deepStrictEqual(keywordsIn(matcher, '//!! x', { open: '//' }), []);
+    });
+
+    test('does not look for symbol keywords past the first line', () => {
+        const matcher = createKeywordMatcher(['*', '!']);
+        assert.deepStrictEqual(keywordsIn(matcher, '/*\n * text\n */', { open: '/*' }), []);
+        assert.deepStrictEqual(keywordsIn(matcher, '/*\n ! text\n */', { open: '/*' }), []);
+    });
+
+    test('treats doc comment openers and shebangs as delimiters', () => {
+        const matcher = createKeywordMatcher(['*', '!']);
+        assert.deepStrictEqual(keywordsIn(matcher, '//! crate docs', { open: '//' }), []);
+        assert.deepStrictEqual(keywordsIn(matcher, '/*! docs */', { open: '/*' }), []);
+        assert.deepStrictEqual(keywordsIn(matcher, '/// docs', { open: '//' }), []);
+        assert.deepStrictEqual(keywordsIn(matcher, '#!/usr/bin/env python', { open: '#' }), []);
+        assert.deepStrictEqual(keywordsIn(matcher, '//! ! alert', { open: '//' }), ['!']);
+    });
+
+    test('leaves plain block and doc comments alone with the Symbol Tags preset', () => {
+        const settings = { get: (key, defaultValue) => (key === 'customKeywords' ? KEYWORD_PRESETS.symbols.keywords : defaultValue) };
+        const scanner = createTagScanner(settings);
+        assert.deepStrictEqual(scanner.scan('/*\n * text\n */', 'javascript'), []);
+        assert.deepStrictEqual(scanner.scan('//! crate docs\n/// item docs', 'rust'), []);
+        assert.deepStrictEqual(scanner.scan('// ! do not reorder', 'javascript').map(tag => tag.keyword), ['!']);
+    });
+
+    test('reports aliases as their keyword', () => {
+        const matcher = createKeywordMatcher(['TODO', '!'], { aliases: { TBD: 'TODO', '!!!': '!' } });
+        assert.deepStrictEqual(matcher.match('// TBD and TODO').map(match => match.keyword), ['TODO', 'TODO']);
+        assert.deepStrictEqual(matcher.match('// !!! x', { open: '//' }).map(match => match.keyword), ['!']);
+    });
+
+    test('matches @-prefixed keywords unless turned off', () => {
+        assert.deepStrictEqual(keywordsIn(createKeywordMatcher(['TODO']), '/** @todo x */', { open: '/*' }), ['@todo']);
+        assert.deepStrictEqual(keywordsIn(createKeywordMatcher(['TODO'], { atPrefix: false }), '/** @todo x */', { open: '/*' }), ['todo']);
+    });
+
+    test('counts trailing exclamation marks as urgency', () => {
+        const [plain, urgent] = createKeywordMatcher(['TODO']).match('// TODO: a; TODO!!: b');
+        assert.strictEqual(plain.urgency, undefined);
+        assert.deepStrictEqual(urgent, { keyword: 'TODO', start: 12, end: 18, urgency: 2 });
+        const [off] = createKeywordMatcher(['TODO'], { urgencySuffix: false }).match('// TODO!!');
+        assert.strictEqual(off.urgency, undefined);
+        assert.strictEqual(off.end, 7);
+    });
+
+    test('matches nothing without keywords', () => {
+        assert.deepStrictEqual(createKeywordMatcher([]).match('// TODO'), []);
+    });
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { createKeywordMatcher } = require('../src/tagMatcher');
+const { createMetadataParser, withMetadata, parseDueDate, getOverdueDays } = require('../src/tagMetadata');
+
+suite('tagMetadata', () => {
+    test('classifies fields by the default patterns', () => {
+        const parse = createMetadataParser();
+        const metadata = parse('TODO(alice, 2026-11-01, #482, p1)', 4);
+        assert.strictEqual(metadata.start, 4);
+        assert.strictEqual(metadata.end, 33);
+        assert.strictEqual(metadata.owner, 'alice');
+        assert.strictEqual(metadata.due, '2026-11-01');
+        assert.strictEqual(metadata.issue, '#482');
+        assert.strictEqual(metadata.priority, 'p1');
+        assert.deepStrictEqual(metadata.fields[1], { kind: 'due', value: '2026-11-01', start: 12, end: 22 });
+    });
+
+    test('accepts explicit field names and their aliases', () => {
+        const metadata = createMetadataParser()('X(by=bob, deadline: 2026-01-31, ticket=ABC-1)', 1);
+        assert.strictEqual(metadata.owner, 'bob');
+        assert.strictEqual(metadata.due, '2026-01-31');
+        assert.strictEqual(metadata.issue, 'ABC-1');
+    });
+
+    test('uses the configured brackets, separator and patterns', () => {
+        const parse = createMetadataParser({ brackets: '[]', separator: ';', patterns: { issue: '^GH\\d+$' } });
+        const metadata = parse('X[GH12; carol]', 1);
+        assert.strictEqual(metadata.issue, 'GH12');
+        assert.strictEqual(metadata.owner, 'carol');
+        assert.strictEqual(parse('X(carol)', 1), null);
+    });
+
+    test('reports invalid patterns and keeps the default', () => {
+        const errors = [];
+        const parse = createMetadataParser({ patterns: { due: '(' }, onError: kind => errors.push(kind) });
+        assert.deepStrictEqual(errors, ['due']);
+        assert.strictEqual(parse('X(2026-01-01)', 1).due, '2026-01-01');
+    });
+
+    test('needs the bracket right after the keyword, on one line', () => {
+        const parse = createMetadataParser();
+        assert.strictEqual(parse('X (alice)', 1), null);
+        assert.strictEqual(parse('X(alice', 1), null);
+        assert.strictEqual(parse('X(alice\n)', 1), null);
+        assert.strictEqual(parse('X()', 1), null);
+    });
+
+    test('attaches metadata to keyword matches', () => {
+        const matcher = withMetadata(createKeywordMatcher(['TODO']), createMetadataParser());
+        const [match] = matcher.match('// TODO(alice): x');
+        assert.strictEqual(match.metadata.owner, 'alice');
+        assert.strictEqual(matcher.match('// TODO: x')[0].metadata, undefined);
+    });
+
+    test('counts overdue days from a valid due date', () => {
+        assert.strictEqual(parseDueDate('2026-02-30'), null);
+        assert.strictEqual(getOverdueDays({ due: '2026-01-01' }, new Date(2026, 0, 11, 15)), 10);
+        assert.strictEqual(getOverdueDays({ due: '2026-01-20' }, new Date(2026, 0, 11)), 0);
+        assert.strictEqual(getOverdueDays({ owner: 'alice' }), 0);
+        assert.strictEqual(getOverdueDays(undefined), 0);
+    });
+});
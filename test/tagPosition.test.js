@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { createKeywordMatcher } = require('../src/tagMatcher');
+const { createMetadataParser, withMetadata } = require('../src/tagMetadata');
+const { compilePositionRules, isDocComment, isFirstWord, withPositionRules } = require('../src/tagPosition');
+
+function createSettings(values = {}) {
+    return {
+        get: (key, defaultValue) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : defaultValue)
+    };
+}
+
+function createMatcher(values) {
+    const matcher = withMetadata(createKeywordMatcher(['TODO', 'NOTE']), createMetadataParser());
+    return withPositionRules(matcher, compilePositionRules(createSettings(values)));
+}
+
+function keywordsIn(matcher, text, context) {
+    return matcher.match(text, context).map(match => match.keyword);
+}
+
+suite('tagPosition', () => {
+    test('recognizes doc comment openers', () => {
+        ['/** a */', '/*! a */', '/// a', '//! a', '"""a"""', "'''a'''", '{-| a -}', '(** a *)'].forEach(text => {
+            assert.strictEqual(isDocComment(text), true, text);
+        });
+        ['/* a */', '/**/', '// a', '//// a', '# a', '(**)'].forEach(text => {
+            assert.strictEqual(isDocComment(text), false, text);
+        });
+    });
+
+    test('finds the first word after the delimiter and line decorations', () => {
+        assert.strictEqual(isFirstWord('// TODO x', 3, '//'), true);
+        assert.strictEqual(isFirstWord('// see TODO', 7, '//'), false);
+        assert.strictEqual(isFirstWord('/*\n * TODO x\n */', 6, '/*'), true);
+        assert.strictEqual(isFirstWord('-- | TODO', 5, '--'), true);
+    });
+
+    test('needs no filter when every rule is at its default', () => {
+        assert.strictEqual(compilePositionRules(createSettings()), null);
+        assert.strictEqual(compilePositionRules(createSettings({ keywordPositions: { TODO: { docComments: true } } })), null);
+    });
+
+    test('reports invalid rules', () => {
+        const errors = [];
+        compilePositionRules(createSettings({ keywordPositions: { TODO: { first: true, docComments: 'no' }, NOTE: true } }), message => errors.push(message));
+        assert.deepStrictEqual(errors, [
+            "Unknown position rule 'first' for 'TODO'",
+            "Position rule 'docComments' for 'TODO' must be true or false",
+            "Invalid position rules for 'NOTE': expected an object"
+        ]);
+    });
+
+    test('applies firstWord and requireDelimiter per keyword', () => {
+        const matcher = createMatcher({ keywordPositions: { TODO: { firstWord: true }, NOTE: { requireDelimiter: true } } });
+        assert.deepStrictEqual(keywordsIn(matcher, '// TODO and TODO', { open: '//' }), ['TODO']);
+        assert.deepStrictEqual(keywordsIn(matcher, '// NOTE: a NOTE b NOTE(alice)', { open: '//' }), ['NOTE', 'NOTE']);
+    });
+
+    test("lets '*' set rules for every keyword", () => {
+        const matcher = createMatcher({ keywordPositions: { '*': { docComments: false }, NOTE: { docComments: true } } });
+        assert.deepStrictEqual(keywordsIn(matcher, '/** TODO NOTE */', { open: '/*' }), ['NOTE']);
+        assert.deepStrictEqual(keywordsIn(matcher, '/* TODO NOTE */', { open: '/*' }), ['TODO', 'NOTE']);
+    });
+
+    test('drops trailing comments when excludeFromEnd is set', () => {
+        const matcher = createMatcher({ excludeFromEnd: true, keywordPositions: { NOTE: { trailingComments: true } } });
+        assert.deepStrictEqual(keywordsIn(matcher, '// TODO NOTE', { open: '//', trailing: true }), ['NOTE']);
+        assert.deepStrictEqual(keywordsIn(matcher, '// TODO NOTE', { open: '//', trailing: false }), ['TODO', 'NOTE']);
+    });
+});